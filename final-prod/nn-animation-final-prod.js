@@ -7,17 +7,95 @@
  *  - Applied line masking (punch-through) to static/background nodes.
  *  - Connecting lines use depth-based gradient brightness for 3D effect.
  *  - Optional radial fade at canvas edges via CSS mask for vignette effect.
+ *
+ * Usage:
+ *  - Classic script: add `data-nn-autoinit` to the <script> tag to build an engine on
+ *    #canvas-container at DOMContentLoaded (exposed as window.nnEngine). Without it the
+ *    script only defines window.NNAnimation.
+ *  - Bundlers / CommonJS / AMD: the same file is a UMD module; ESM hosts import
+ *    nn-animation-final-prod.mjs. Nothing starts until you construct an engine:
+ *      const engine = new NeuralNetworkEngine(elementOrCanvasOrId, { NODE_COUNT: 40 });
+ *      engine.start();
+ *    pause()/resume() freeze and continue loop time; destroy() removes the engine's listeners
+ *    and canvases (single-page apps call it on route change). engine.state tells which.
+ *  - App activity: engine.setActivity(1) while the app is busy (0 when idle) ramps pulse rate,
+ *    speed and brightness; engine.fire(nodeId or { x, y }) sends pulses from a node on demand.
+ *  - Audio and live data: engine.setSignal(analyserNode) (Web Audio on a local <audio> or the
+ *    mic) or engine.setSignal(() => level) makes nodes glow, links brighten, orbits swell and
+ *    pulses spawn with the signal; SIGNAL_* options set the band mapping and smoothing.
+ *  - Events and plugins: engine.on('pulse:arrive', ({ to }) => ...) (also pulse:spawn, loop:wrap,
+ *    resize, rebuild, theme:change); render hooks engine.on('afterNodes', (ctx, frame) => ...)
+ *    draw on top of a layer; engine.use({ name, install(engine) { ... } }) bundles both.
+ *  - Custom element: <nn-network node-count="60" palette="aurora" seed="42"></nn-network> renders
+ *    into its own box (shadow DOM) and pauses while scrolled out of view; any config key works
+ *    as a kebab-case attribute.
+ *  - Worker rendering: createEngine(target, { RENDER_IN_WORKER: true }) (or `data-nn-worker`)
+ *    runs the engine off the main thread on OffscreenCanvas, falling back to the main thread;
+ *    its methods that return a value return a Promise of it.
+ *  - Themes: engines follow <body data-theme> (any PALETTES name) and prefers-color-scheme, with a
+ *    crossfade; createThemeController() adds the persisted toggle button (autoInit wires it).
+ *  - Custom node motion: NNAnimation.registerMotionPath('spiral', (angle, node, out, ctx) => { ... })
+ *    then PARALLAX_BANDS[i].path = 'spiral' (built in: ellipse, lissajous, figure8, breathe, curl).
+ *  - Layouts: { LAYOUT: 'layers', LAYOUT_LAYERS: [3, 5, 2] } draws a feed-forward net whose pulses
+ *    run left to right; also 'grid', 'hex', 'rings' or a (ctx) => ({ nodes, links }) callback.
+ *  - Logos and headlines: { SHAPE: { text: 'ACME' } } (or an SVG `path`, or an `image`'s alpha)
+ *    places most nodes on the shape's outline and inside, with links following the outline.
+ *  - Keep text readable: engine.addExclusion(document.querySelector('h1'), { padding: 24 }) keeps
+ *    nodes out of the heading's box and fades links and pulses that cross it.
+ *  - Fixed scenes: engine.exportGraph() returns JSON-ready nodes, links, config and seed (a
+ *    Promise of it from a RENDER_IN_WORKER engine); engine.importGraph(json) rebuilds exactly
+ *    that scene at any size and keeps it across resizes.
+ *  - Link-building benchmark: NNAnimation.benchmarkLinks({ counts: [500, 2000, 5000] }).
+ *  - Link rendering before/after: NNAnimation.benchmarkRender({ nodes: 1000 }) ('quality' vs 'batched').
  */
-(function () {
+(function (root, factory) {
+  "use strict";
+  const api = factory();
+  const script = (typeof document !== 'undefined') ? document.currentScript : null;
+  if (script && script.src && !api.workerUrl) api.workerUrl = script.src;  // workers load this same file
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else if (typeof define === 'function' && define.amd) define([], () => api);
+  // Also global under CommonJS/AMD: the .mjs entry evaluates this file and reads it from here
+  root.NNAnimation = api;
+
+  // Opt-in auto-init for plain <script data-nn-autoinit> embeds
+  if (script && script.hasAttribute('data-nn-autoinit')) {
+    const options = {};
+    if (script.dataset.nnSeed) options.seed = script.dataset.nnSeed;
+    if (script.hasAttribute('data-nn-worker')) options.RENDER_IN_WORKER = true;
+    const boot = () => { window.nnEngine = api.autoInit('canvas-container', options); };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', boot, { once: true });
+    else boot();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this), function () {
   "use strict";
 
   // ------------------ CONFIG ------------------
-  const CONFIG = {
+  // Defaults for every engine; per-instance options are deep-merged over a copy of these
+  const DEFAULT_CONFIG = {
     // --- Runtime limits ---
+    RENDER_IN_WORKER: false,      // createEngine(): simulate + draw in a Web Worker via OffscreenCanvas when supported
+    WORKER_URL: null,             // Script URL the worker loads (defaults to this file's own URL)
     DPR_MAX: 1.5,                 // Clamp devicePixelRatio for lower fill-rate on hi-DPI
     UPDATE_HZ: 30,                // Fixed simulation steps per second (30 is mobile-friendly)
     RENDER_FPS_CAP: 30,           // Max render FPS (24–30 recommended for background use)
 
+    // --- Adaptive quality (frame-time governor) ---
+    ADAPTIVE_QUALITY: true,       // Step quality down under load and back up when there is headroom
+    QUALITY_LEVELS: [             // Steps 1..n, each complete; values only ever lower the configured ones
+      { DPR_MAX: 1.25 },
+      { DPR_MAX: 1 },
+      { DPR_MAX: 1, RENDER_FPS_CAP: 24 },
+      { DPR_MAX: 1, RENDER_FPS_CAP: 20, MAX_LINKS_DYNAMIC: 3 },
+      { DPR_MAX: 1, RENDER_FPS_CAP: 20, MAX_LINKS_DYNAMIC: 3, NODE_COUNT: 60, BG_NODE_COUNT: 36 },
+      { DPR_MAX: 1, RENDER_FPS_CAP: 20, MAX_LINKS_DYNAMIC: 2, NODE_COUNT: 40, BG_NODE_COUNT: 24 }
+    ],
+    QUALITY_DOWN_LOAD: 0.75,      // Step down while frame cost stays above this share of the frame budget...
+    QUALITY_UP_LOAD: 0.35,        // ...and back up only while it stays below this one (hysteresis)
+    QUALITY_DOWN_HOLD_MS: 1500,   // How long overload must last before stepping down
+    QUALITY_UP_HOLD_MS: 6000,     // How long headroom must last before stepping up
+    QUALITY_SAVE_DATA_LEVEL: 3,   // Lowest level allowed when navigator.connection.saveData is on
+
     // --- Baseline viewport for scaling densities ---
     BASE_WIDTH: 1440,
     BASE_HEIGHT: 900,
@@ -40,10 +118,45 @@
     BG_LINK_ALPHA: 0.08,          // Low alpha for static background wiring
     BG_LINK_WIDTH: 3,             // Stroke width for background wiring
 
-    // --- Parallax bands (near/mid/far layers) ---
+    // --- Layout (foreground nodes; background wiring is always a scatter) ---
+    // 'scatter': Poisson-disc spread with proximity links. 'layers': feed-forward columns with
+    // links only between neighboring columns, directed left to right. 'grid' / 'hex': lattice
+    // with links to lattice neighbors. 'rings': concentric rings with links around each ring and
+    // spokes inward. A function gets { width, height, count, margin: { x, y }, config, rng } and
+    // returns { nodes: [{ x, y, z? }], links?: [[from, to], ...], directed? } (px; no links =
+    // proximity links). Layouts other than 'scatter' ignore the degree caps.
+    LAYOUT: 'scatter',
+    LAYOUT_LAYERS: [4, 7, 7, 5, 2], // 'layers': nodes per column, left to right (replaces NODE_COUNT)
+    LAYOUT_LINKS: 'dense',        // 'layers': 'dense' (every node to every node of the next column) | 'sparse'
+    LAYOUT_SPARSE_LINKS: 2,       // 'layers' + 'sparse': links from each node to the nearest nodes of the next column
+    LAYOUT_RINGS: 4,              // 'rings': number of rings (nodes shared out by circumference)
+    LAYOUT_MARGIN: 0.1,           // Share of width/height kept clear around structured layouts
+
+    // --- Shape placement ('scatter' layout) ---
+    // Sample the foreground nodes from a shape so the network draws a logo or headline:
+    // { text: 'ACME', font?: 'bold 100px Inter' } | { path: 'M10 10 H90 V90 Z', viewBox?: [0, 0, 100, 100] }
+    // | { image } (a loaded image, canvas or ImageBitmap; its alpha channel is the shape). null = off.
+    SHAPE: null,
+    SHAPE_FIT: 0.7,               // Share of the viewport's width/height the shape is scaled to fit
+    SHAPE_MIX: 0.75,              // Share of the nodes placed on the shape; the rest scatter around it
+    SHAPE_EDGE: 0.6,              // Share of the shape's nodes placed on its outline (the rest fill the inside)
+    SHAPE_LINK_FOLLOW: 0.8,       // 0..1: how strongly links keep to the outline instead of jumping its gaps
+
+    // --- Exclusion zones (engine.addExclusion(elementOrRect)) ---
+    EXCLUSION_PADDING: 16,        // px kept clear around each zone (nodes are not placed there)
+    EXCLUSION_FALLOFF: 64,        // px outside the padding over which links, nodes and pulses fade back in
+    EXCLUSION_LINK_ALPHA: 0.08,   // Link/node brightness left inside a zone (0 = fully clear)
+    EXCLUSION_PULSE_ALPHA: 0.3,   // Pulse brightness left inside a zone
+
+    // --- Parallax bands (any number; a node belongs to the first band whose [zMin, zMax) holds its depth) ---
+    // Per band: move, headingDeg (path orientation), radiusX/radiusY (px at baseline minDim 900),
+    // cycles (orbits per loop; integer, or the loop would not close), direction (1 | -1),
+    // phaseTurns (orbit phase offset in turns), path (motion path name, or an array of names that
+    // nodes pick from at random; 'ellipse' by default), pathOptions (passed to the path), and
+    // optional overrides: brightness (node alpha), scale (sprite scale) and maxLinks (degree cap).
     PARALLAX_BANDS: [
-      { zMin: 0.00, zMax: 0.4, move: true, headingDeg: 20 },   // near layer (moves right)
-      { zMin: 0.4, zMax: 0.75, move: true, headingDeg: 160 },  // mid layer (moves diagonally)
+      { zMin: 0.00, zMax: 0.4, move: true, headingDeg: 20, radiusX: 60, radiusY: 30, cycles: 1 },   // near layer (moves right)
+      { zMin: 0.4, zMax: 0.75, move: true, headingDeg: 160, radiusX: 30, radiusY: 15, cycles: 1 },  // mid layer (moves diagonally)
       { zMin: 0.70, zMax: 1.00, move: false, headingDeg: 180 } // far layer static
     ],
 
@@ -60,15 +173,75 @@
     PULSE_SPEED: 400,             // Pulse travel speed (px/second along links)
     PULSE_SPAWN_EVERY_MS: 1200,    // Base interval between pulse spawns (ms)
     PULSE_RADIUS: 4,              // Pulse glow sprite radius
+    PULSE_MODE: 'free',           // 'free': wall-clock spawns; 'loop': schedule derived from loop time (exactly periodic)
+
+    // --- Cascades (multi-hop pulses) ---
+    CASCADE_PROBABILITY: 0.0,     // Chance an arriving pulse continues through its target node (0 = single hop)
+    CASCADE_BRANCHES: 2,          // Max pulses that continue along the node's other links
+    CASCADE_DECAY: 0.7,           // Energy (brightness) kept per hop
+    CASCADE_MAX_HOPS: 4,          // Hop depth limit for a cascade
+    CASCADE_MIN_ENERGY: 0.15,     // Pulses fainter than this don't continue
+    NODE_FLASH_MS: 350,           // Flash duration when a pulse arrives at a node (0 disables)
+    NODE_FLASH_GAIN: 1.2,         // Extra brightness at the flash peak (fraction)
+
+    // --- Activity (setActivity(): 0 = idle, 1 = busy; drives 'free' pulses, the 'loop' schedule stays fixed) ---
+    ACTIVITY: 0,                  // Level the network ramps toward
+    ACTIVITY_RAMP_MS: 900,        // Ramp time constant (about two thirds of the way there after this long)
+    // Multipliers of PULSE_SPAWN_EVERY_MS, the (responsive) pulse cap, PULSE_SPEED and the
+    // brightness of moving nodes and pulses; levels in between blend linearly
+    ACTIVITY_IDLE: { spawnEvery: 1, maxActive: 1, speed: 1, brightness: 1 },
+    ACTIVITY_BUSY: { spawnEvery: 0.2, maxActive: 4, speed: 1.8, brightness: 1.5 },
+
+    // --- Signal input (setSignal(): an AnalyserNode or a () => number | number[] sampler) ---
+    SIGNAL_BANDS: 3,              // Levels the signal is split into (an analyser's spectrum is cut into log-spaced bands)
+    SIGNAL_MAP: 'depth',          // Band -> nodes: 'depth' (low bands drive near layers), 'regions' (low bands on the left), 'all' (the average drives every node)
+    SIGNAL_MIN_HZ: 40,            // Analyser range split into the bands
+    SIGNAL_MAX_HZ: 8000,
+    SIGNAL_GAIN: 1.5,             // Input scale before clamping to 0..1
+    SIGNAL_ATTACK_MS: 40,         // Smoothing time constant while a level rises
+    SIGNAL_RELEASE_MS: 320,       // ... and while it falls
+    SIGNAL_GLOW: 0.9,             // Extra node brightness at full level (fraction)
+    SIGNAL_LINK_ALPHA: 0.8,       // Extra dynamic link alpha at full level (fraction)
+    SIGNAL_ORBIT: 0.6,            // Extra orbit radius for moving nodes at full level (fraction)
+    SIGNAL_SPAWN: 0.75,           // Pulse spawn interval shrinks by this fraction at full level; pulses favor loud nodes
+
+    // --- Layer pulses (static far network + background wiring, drawn on a light overlay canvas) ---
+    STATIC_PULSE_MAX_ACTIVE: 2,   // Max simultaneous pulses on static links (0 disables)
+    STATIC_PULSE_SPAWN_EVERY_MS: 1800,
+    STATIC_PULSE_SPEED: 160,      // px/second; slower than the near network so it reads as depth
+    STATIC_PULSE_RADIUS: 5,
+    BG_PULSE_MAX_ACTIVE: 2,       // Max simultaneous pulses on background wiring (0 disables)
+    BG_PULSE_SPAWN_EVERY_MS: 2600,
+    BG_PULSE_SPEED: 90,
+    BG_PULSE_RADIUS: 6,
+    PULSE_STYLE: 'dot',           // 'dot' | 'comet' (fading tail behind every pulse, all layers)
+    PULSE_TRAIL_PX: 48,           // Comet tail length along the link
+
+    // --- Theme & palettes ---
+    THEME: 'auto',                // PALETTES name, or 'auto': the page's data-theme if it names a palette, else prefers-color-scheme
+    THEME_FADE_MS: 600,           // Crossfade when the palette (or its CSS colors) changes; 0 switches instantly
+    // Colors are "r, g, b" tuples or hex. node/link: one color, or per layer { bg, static, dynamic };
+    // pulse: one color or a list of stops a pulse runs through along its link; background: null
+    // (transparent; the page shows through) or a color / top-to-bottom list of gradient stops.
+    // null node/link/pulse colors follow the --nn-*-color CSS variables of the page theme.
+    PALETTES: {
+      light: { node: null, link: null, pulse: null, background: null },
+      dark: { node: null, link: null, pulse: null, background: null },
+      aurora: {
+        node: { bg: '94, 234, 212', static: '129, 140, 248', dynamic: '196, 181, 253' },
+        link: { bg: '45, 212, 191', static: '99, 102, 241', dynamic: '167, 139, 250' },
+        pulse: ['253, 224, 71', '244, 114, 182', '34, 211, 238'],
+        background: ['#0b1026', '#1e1b4b', '#042f2e']
+      }
+    },
+    // Overrides for every palette and layer ("r, g, b"; null = use the palette)
+    NODE_COLOR: null,
+    LINK_COLOR: null,
+    PULSE_COLOR: null,
 
     // --- Loop & motion (elliptical paths) ---
     LOOP_DURATION_MS: 28000,      // Full loop duration in milliseconds (visual repeat period)
-    ELLIPSE_NEAR_CYCLES: 1,       // Ellipse orbits per loop for near layer (integer for seamless return)
-    ELLIPSE_MID_CYCLES: 1,        // Ellipse orbits per loop for mid layer
-    ELLIPSE_RADIUS_NEAR_X: 60,    // Horizontal ellipse radius for near nodes (baseline minDim=900)
-    ELLIPSE_RADIUS_NEAR_Y: 30,    // Vertical ellipse radius for near nodes (baseline)
-    ELLIPSE_RADIUS_MID_X: 30,     // Horizontal radius for mid-layer nodes (baseline)
-    ELLIPSE_RADIUS_MID_Y: 15,     // Vertical radius for mid-layer nodes (baseline)
+    SEED: null,                   // Layout/pulse seed (number or string); null picks a fresh one per load
     RANDOMIZE_NODE_PHASES: true,
     STARTING_PHASE_RANDOMIZER: 0.2,  // How much to randomize the initial phase by this fraction of 2π
     GLOBAL_DRIFT_RATIO: 0.0,     // Global slow drift as % of min(viewport) (applied via CSS translate)
@@ -82,12 +255,23 @@
     LINE_ALPHA_MAX: 0.08,         // Opacity for longest links
     LINE_WIDTH_NEAR: 1.5,           // Line width for nearest links
     LINE_WIDTH_FAR: 3,            // Line width for far links
+    LINK_RENDER_MODE: 'batched',  // 'batched': bucketed alpha/width, one stroke per bucket; 'quality': per-link gradients
+    LINK_ALPHA_BUCKETS: 24,       // Alpha levels in batched mode
+    LINK_WIDTH_BUCKETS: 4,        // Line widths in batched mode (between LINE_WIDTH_NEAR and LINE_WIDTH_FAR)
 
     // --- Masking & culling ---
     DYNAMIC_LINE_PUNCH: true,     // Enable masking of lines behind node sprites (prevents line "punch-through")
     PUNCH_THROUGH_RADIUS_SCALE: 0.9,  // Mask radius as fraction of node sprite radius
     CULL_MARGIN: 24,              // Offscreen culling margin (px beyond viewport)
 
+    // --- Pointer interaction (opt-in; page clicks still pass through the container) ---
+    INTERACTION: false,           // Listen to window pointer events (mouse, pen and touch)
+    INTERACTION_RADIUS: 160,      // Cursor influence radius (px)
+    INTERACTION_STRENGTH: 0.35,   // >0 pulls moving nodes toward the cursor, <0 pushes them away (fraction of radius)
+    INTERACTION_EASE: 0.12,       // Per-step easing toward the displaced position and back to the orbit
+    HOVER_BRIGHTEN: 0.8,          // Extra brightness for nodes/dynamic links near the cursor (fraction)
+    CLICK_BURST_PULSES: 4,        // Pulses released from the nearest node on click/tap (0 disables)
+
     // --- Edge fade (radial vignette) ---
     EDGE_FADE_DYNAMIC: true,      // Apply radial fade-out at canvas edges for dynamic layer (near nodes)
     EDGE_FADE_STATIC: true,      // Apply radial edge fade for static layer (far nodes)
@@ -101,39 +285,387 @@
   };
 
   function readCssRGBTuple(varName, fallback) {
+    if (typeof document === 'undefined') return fallback;  // worker: colors arrive by message
     const styles = getComputedStyle(document.body);
     const v = styles.getPropertyValue(varName).trim();
     return (v && v.length) ? v : fallback;
   }
+  function isPlainObject(v) {
+    if (v === null || typeof v !== 'object') return false;
+    const proto = Object.getPrototypeOf(v);
+    return proto === null || Object.getPrototypeOf(proto) === null;  // literal objects from any realm
+  }
+  function cloneConfigValue(v) {
+    if (Array.isArray(v)) return v.map(cloneConfigValue);
+    if (isPlainObject(v)) {
+      const out = {};
+      for (const k of Object.keys(v)) out[k] = cloneConfigValue(v[k]);
+      return out;
+    }
+    return v;  // primitives, functions and host objects are shared by reference
+  }
+  // Deep merge for config objects. Arrays replace the base array, but object entries are
+  // merged over the base entry at the same index, so PARALLAX_BANDS: [{ headingDeg: 90 }]
+  // tweaks band 0 while keeping its z-range (and drops the bands that were not listed).
+  function deepMerge(base, patch) {
+    if (patch === undefined) return cloneConfigValue(base);
+    if (Array.isArray(patch)) {
+      return patch.map((v, i) => (Array.isArray(base) && isPlainObject(base[i]) && isPlainObject(v))
+        ? deepMerge(base[i], v)
+        : cloneConfigValue(v));
+    }
+    if (isPlainObject(patch)) {
+      const out = isPlainObject(base) ? cloneConfigValue(base) : {};
+      for (const k of Object.keys(patch)) out[k] = deepMerge(out[k], patch[k]);
+      return out;
+    }
+    return patch;
+  }
   function clamp(v, a, b) { return v < a ? a : (v > b ? b : v); }
   function lerp(a, b, t) { return a + (b - a) * t; }
-  function shuffleArray(arr) {
+  function shuffleArray(arr, rng) {
     for (let i = arr.length - 1; i > 0; i--) {
-      const j = (Math.random() * (i + 1)) | 0;
+      const j = (rng() * (i + 1)) | 0;
       [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
   }
 
-  const BASELINE = {
-    WIDTH: CONFIG.BASE_WIDTH,
-    HEIGHT: CONFIG.BASE_HEIGHT,
-    AREA: CONFIG.BASE_WIDTH * CONFIG.BASE_HEIGHT,
-    NODE_COUNT: CONFIG.BASE_NODE_COUNT,
-    BG_NODE_COUNT: CONFIG.BASE_BG_NODE_COUNT,
-    MAX_LINK_DISTANCE: CONFIG.BASE_MAX_LINK_DISTANCE,
-    PULSE_MAX_ACTIVE: CONFIG.BASE_PULSE_MAX_ACTIVE,
-    BG_LINK_MAX_DISTANCE: CONFIG.BG_LINK_MAX_DISTANCE
+  // --------- Seeded PRNG (reproducible layouts) ---------
+  // Seeds may be numbers or strings; both are folded into an unsigned 32-bit int.
+  function hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+    const str = String(value);
+    let h = 2166136261;  // FNV-1a
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+  // Derive an independent stream per concern so e.g. rebuilding links never shifts node placement
+  function deriveSeed(seed, salt) {
+    return hashSeed(`${seed}:${salt}`);
+  }
+  // mulberry32: tiny, fast and good enough for visual randomness; returns floats in [0, 1)
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const warned = new Set();
+  function warnOnce(message) {
+    if (warned.has(message)) return;
+    warned.add(message);
+    console.warn(`NNAnimation: ${message}`);
+  }
+
+  // Pre-band motion keys, still accepted as options: [key, band index, band field]
+  const LEGACY_BAND_KEYS = [
+    ['ELLIPSE_NEAR_CYCLES', 0, 'cycles'], ['ELLIPSE_MID_CYCLES', 1, 'cycles'],
+    ['ELLIPSE_RADIUS_NEAR_X', 0, 'radiusX'], ['ELLIPSE_RADIUS_NEAR_Y', 0, 'radiusY'],
+    ['ELLIPSE_RADIUS_MID_X', 1, 'radiusX'], ['ELLIPSE_RADIUS_MID_Y', 1, 'radiusY'],
+    ['ELLIPSE_NEAR_DIRECTION', 0, 'direction'], ['ELLIPSE_MID_DIRECTION', 1, 'direction'],
+    ['NEAR_PHASE_OFFSET_TURNS', 0, 'phaseTurns'], ['MID_PHASE_OFFSET_TURNS', 1, 'phaseTurns']
+  ];
+
+  // Merge instance options over the defaults and precompute derived values.
+  // `seed` is accepted as a lowercase alias for SEED.
+  function resolveConfig(options, base = DEFAULT_CONFIG) {
+    const { seed, ...rest } = options || {};
+    const cfg = deepMerge(base, rest);
+    if (seed !== undefined) cfg.SEED = seed;
+    // A new SHAPE replaces the old one outright (a path must not inherit an earlier text)
+    if (rest.SHAPE !== undefined) cfg.SHAPE = rest.SHAPE ? { ...rest.SHAPE } : null;
+
+    for (const [key, index, field] of LEGACY_BAND_KEYS) {
+      if (!(key in cfg)) continue;
+      if (cfg.PARALLAX_BANDS[index]) cfg.PARALLAX_BANDS[index][field] = cfg[key];
+      delete cfg[key];
+    }
+
+    // Moving bands must orbit a whole number of times per loop to return to their origin
+    cfg.PARALLAX_BANDS.forEach((band, index) => {
+      const cycles = band.cycles ?? 1;
+      if (band.move && !Number.isInteger(cycles)) {
+        band.cycles = Math.round(cycles);
+        warnOnce(`PARALLAX_BANDS[${index}].cycles must be an integer for a seamless loop; using ${band.cycles}`);
+      }
+    });
+
+    // Precompute any static angles from config
+    cfg.PARALLAX_BANDS.forEach(band => {
+      band.headingRad = (band.headingDeg ?? 0) * Math.PI / 180;
+    });
+    cfg.BG_DRIFT_HEADING_RAD = (cfg.BG_DRIFT_HEADING_DEG ?? 0) * Math.PI / 180;
+    return cfg;
+  }
+
+  function configValueEquals(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) || isPlainObject(a)) return JSON.stringify(a, byIdentity) === JSON.stringify(b, byIdentity);
+    return false;
+  }
+  // Nested images, canvases and callbacks compare by identity (JSON would flatten them to {})
+  const objectIds = new WeakMap();
+  let nextObjectId = 0;
+  function byIdentity(key, value) {
+    const opaque = typeof value === 'function' ||
+      (value !== null && typeof value === 'object' && !Array.isArray(value) && !isPlainObject(value));
+    if (!opaque) return value;
+    if (!objectIds.has(value)) objectIds.set(value, nextObjectId++);
+    return `#${objectIds.get(value)}`;
+  }
+
+  // What a runtime change to each key invalidates (see NeuralNetworkEngine#configure).
+  // Keys not listed here are read every frame and need no extra work.
+  const CONFIG_EFFECTS = {
+    DPR_MAX: ['resize'],
+    UPDATE_HZ: ['timing'],
+    RENDER_FPS_CAP: ['timing'],
+    BASE_WIDTH: ['scaling'],
+    BASE_HEIGHT: ['scaling'],
+    BASE_NODE_COUNT: ['scaling'],
+    BASE_BG_NODE_COUNT: ['scaling'],
+    BASE_MAX_LINK_DISTANCE: ['scaling'],
+    BASE_PULSE_MAX_ACTIVE: ['scaling'],
+    NODE_COUNT: ['scaling'],
+    BG_NODE_COUNT: ['scaling'],
+    MOBILE_SCALE: ['scaling'],
+    PULSE_MAX_ACTIVE: ['scaling'],
+    MAX_LINKS_DYNAMIC: ['links'],
+    MAX_LINKS_STATIC: ['links', 'bgLinks'],
+    BG_LINK_MAX_DEGREE: ['bgLinks'],
+    BG_LINK_MAX_DISTANCE: ['scaling'],
+    BG_LINK_ALPHA: ['bg'],
+    BG_LINK_WIDTH: ['bg'],
+    LAYOUT: ['layout'],
+    LAYOUT_LAYERS: ['layout'],
+    LAYOUT_LINKS: ['layout'],
+    LAYOUT_SPARSE_LINKS: ['layout'],
+    LAYOUT_RINGS: ['layout'],
+    LAYOUT_MARGIN: ['layout'],
+    SHAPE: ['shape', 'layout'],
+    SHAPE_FIT: ['shape', 'layout'],
+    SHAPE_MIX: ['layout'],
+    SHAPE_EDGE: ['layout'],
+    SHAPE_LINK_FOLLOW: ['links'],
+    EXCLUSION_PADDING: ['zones'],
+    EXCLUSION_FALLOFF: ['zones'],
+    EXCLUSION_LINK_ALPHA: ['bg', 'static'],
+    PARALLAX_BANDS: ['bands'],
+    NODE_RADIUS_BASE: ['sprites'],
+    PULSE_RADIUS: ['sprites'],
+    THEME: ['theme'],
+    PALETTES: ['theme'],
+    NODE_COLOR: ['theme'],
+    LINK_COLOR: ['theme'],
+    PULSE_COLOR: ['theme'],
+    NODE_NEAR_SCALE: ['bg', 'static'],
+    NODE_FAR_SCALE: ['bg', 'static'],
+    BRIGHTNESS_NEAR: ['bg', 'static'],
+    BRIGHTNESS_FAR: ['bg', 'static'],
+    LINE_ALPHA_MIN: ['static'],
+    LINE_ALPHA_MAX: ['static'],
+    LINE_WIDTH_NEAR: ['static'],
+    LINE_WIDTH_FAR: ['static'],
+    LINK_RENDER_MODE: ['static'],
+    LINK_ALPHA_BUCKETS: ['static'],
+    LINK_WIDTH_BUCKETS: ['static'],
+    DYNAMIC_LINE_PUNCH: ['bg', 'static'],
+    PUNCH_THROUGH_RADIUS_SCALE: ['bg', 'static'],
+    BG_DRIFT_HEADING_DEG: ['drift'],
+    PULSE_MODE: ['pulses'],
+    ACTIVITY: ['activity'],
+    INTERACTION: ['interaction'],
+    SEED: ['seed'],
+    RANDOMIZE_NODE_PHASES: ['seed'],
+    STARTING_PHASE_RANDOMIZER: ['seed']
   };
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (key.startsWith('EDGE_FADE_')) CONFIG_EFFECTS[key] = ['masks'];
+  }
 
-  // Precompute any static angles from config
-  CONFIG.PARALLAX_BANDS.forEach(band => {
-    band.headingRad = (band.headingDeg ?? 0) * Math.PI / 180;
-  });
-  CONFIG.BG_DRIFT_HEADING_RAD = (CONFIG.BG_DRIFT_HEADING_DEG ?? 0) * Math.PI / 180;
+  function computeBaseline(cfg) {
+    return {
+      WIDTH: cfg.BASE_WIDTH,
+      HEIGHT: cfg.BASE_HEIGHT,
+      AREA: cfg.BASE_WIDTH * cfg.BASE_HEIGHT,
+      NODE_COUNT: cfg.BASE_NODE_COUNT,
+      BG_NODE_COUNT: cfg.BASE_BG_NODE_COUNT,
+      MAX_LINK_DISTANCE: cfg.BASE_MAX_LINK_DISTANCE,
+      PULSE_MAX_ACTIVE: cfg.BASE_PULSE_MAX_ACTIVE,
+      BG_LINK_MAX_DISTANCE: cfg.BG_LINK_MAX_DISTANCE
+    };
+  }
+
+  // DOM canvas on the main thread, OffscreenCanvas inside a worker
+  function createCanvas() {
+    if (typeof document !== 'undefined') return document.createElement('canvas');
+    return new OffscreenCanvas(1, 1);
+  }
+
+  // rAF where available (window and dedicated workers in modern browsers), timer otherwise
+  function nextFrame(cb) {
+    if (typeof requestAnimationFrame === 'function') return requestAnimationFrame(cb);
+    return setTimeout(() => cb(performance.now()), 16);
+  }
+
+  // A surface is a set of already-created layer canvases plus their CSS size, e.g. the
+  // OffscreenCanvases a worker receives: { canvases: { bg, static, overlay?, dynamic }, width, height, dpr }
+  function isSurface(target) {
+    return isPlainObject(target) && isPlainObject(target.canvases);
+  }
+
+  // Accepts an element id, a container element, or a <canvas> to render into
+  function resolveTarget(target) {
+    const el = (typeof target === 'string') ? document.getElementById(target) : target;
+    if (!el) throw new Error("Container not found");
+    return el;
+  }
+
+  // --------- Palettes & theme ---------
+  const LAYER_NAMES = ['bg', 'static', 'dynamic'];
+  const FALLBACK_RGB = { node: '96, 165, 250', link: '96, 165, 250', pulse: '153, 246, 228' };
+  const PULSE_RAMP_STEPS = 8;   // pulse sprites pre-rendered along a multi-stop pulse ramp
+
+  // [r, g, b] from an "r, g, b" tuple, #rgb / #rrggbb or rgb()/rgba()
+  function parseRGB(value) {
+    const v = String(value).trim();
+    if (v[0] === '#') {
+      const hex = v.length === 4 ? v.slice(1).split('').map(c => c + c).join('') : v.slice(1, 7);
+      const n = parseInt(hex, 16);
+      return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+    const parts = v.replace(/^rgba?\(|\)$/g, '').split(/[\s,/]+/).filter(Boolean).slice(0, 3).map(Number);
+    return (parts.length === 3 && parts.every(Number.isFinite)) ? parts : [0, 0, 0];
+  }
+  function mixRGB(a, b, t) {
+    if (a === b) return a;
+    const pa = parseRGB(a), pb = parseRGB(b);
+    return pa.map((v, i) => Math.round(v + (pb[i] - v) * t)).join(', ');
+  }
+  // Color at t in [0, 1] along evenly spaced stops
+  function rampColor(stops, t) {
+    if (stops.length === 1) return stops[0];
+    const x = clamp(t, 0, 1) * (stops.length - 1);
+    const k = Math.min(stops.length - 2, Math.floor(x));
+    return mixRGB(stops[k], stops[k + 1], x - k);
+  }
+
+  // Palette in effect: an explicit THEME, else (auto) the page's data-theme when it names a
+  // palette, else the system color scheme
+  function resolveThemeName(cfg) {
+    if (cfg.THEME !== 'auto') {
+      if (cfg.PALETTES[cfg.THEME]) return cfg.THEME;
+      warnOnce(`unknown THEME "${cfg.THEME}"; following the page theme`);
+    }
+    const attr = (typeof document !== 'undefined' && document.body) ? document.body.dataset.theme : null;
+    if (attr && cfg.PALETTES[attr]) return attr;
+    const dark = typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches;
+    return dark ? 'dark' : 'light';
+  }
+
+  // Concrete colors for a palette: { node: {bg, static, dynamic}, link: {...}, pulse: [stops],
+  // background: { stops, alpha } | null }, all as "r, g, b". Must run where the page's CSS is
+  // (workers receive the result by message).
+  function resolvePalette(cfg, name) {
+    const palette = cfg.PALETTES[name] || {};
+    const layered = (value, override, cssVar, fallback) => {
+      const shared = override || (isPlainObject(value) ? null : value) || readCssRGBTuple(cssVar, fallback);
+      const out = {};
+      for (const layer of LAYER_NAMES) out[layer] = parseRGB(override || (isPlainObject(value) && value[layer]) || shared).join(', ');
+      return out;
+    };
+    const list = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean).map(v => parseRGB(v).join(', '));
+    const pulse = list(cfg.PULSE_COLOR || palette.pulse || readCssRGBTuple('--nn-pulse-color', FALLBACK_RGB.pulse));
+    const background = list(palette.background);
+    return {
+      node: layered(palette.node, cfg.NODE_COLOR, '--nn-node-color', FALLBACK_RGB.node),
+      link: layered(palette.link, cfg.LINK_COLOR, '--nn-link-color', FALLBACK_RGB.link),
+      pulse: pulse.length ? pulse : [FALLBACK_RGB.pulse],
+      background: background.length ? { stops: background, alpha: 1 } : null
+    };
+  }
+
+  // Colors part way from `a` to `b`; ramps are resampled to the longer stop count, and a
+  // missing background fades in or out through transparency
+  function mixColors(a, b, t) {
+    const layers = (x, y) => {
+      const out = {};
+      for (const layer of LAYER_NAMES) out[layer] = mixRGB(x[layer], y[layer], t);
+      return out;
+    };
+    const ramp = (x, y) => {
+      const n = Math.max(x.length, y.length);
+      return Array.from({ length: n }, (_, k) => {
+        const at = n > 1 ? k / (n - 1) : 0;
+        return mixRGB(rampColor(x, at), rampColor(y, at), t);
+      });
+    };
+    let background = null;
+    if (a.background || b.background) {
+      const from = a.background || { stops: b.background.stops, alpha: 0 };
+      const to = b.background || { stops: a.background.stops, alpha: 0 };
+      background = { stops: ramp(from.stops, to.stops), alpha: lerp(from.alpha, to.alpha, t) };
+    }
+    return { node: layers(a.node, b.node), link: layers(a.link, b.link), pulse: ramp(a.pulse, b.pulse), background };
+  }
+
+  // CSS for a resolved background ('' when there is none)
+  function backgroundCss(background) {
+    if (!background || background.alpha <= 0) return '';
+    const stops = background.stops.map(rgb => `rgba(${rgb}, ${background.alpha})`);
+    return stops.length > 1 ? `linear-gradient(180deg, ${stops.join(', ')})` : stops[0];
+  }
+
+  // Calls onChange when <body data-theme> or the system color scheme changes; returns a
+  // function that stops watching
+  function watchTheme(onChange) {
+    if (typeof document === 'undefined' || !document.body) return () => {};
+    const observer = (typeof MutationObserver !== 'undefined') ? new MutationObserver(() => onChange()) : null;
+    if (observer) observer.observe(document.body, { attributes: true, attributeFilter: ['data-theme'] });
+    const scheme = (typeof matchMedia === 'function') ? matchMedia('(prefers-color-scheme: dark)') : null;
+    if (scheme) scheme.addEventListener('change', onChange);
+    return () => {
+      if (observer) observer.disconnect();
+      if (scheme) scheme.removeEventListener('change', onChange);
+    };
+  }
+
+  // Pointer input over `container`, read on window (capture, passive) so the container can stay
+  // pointer-events: none and clicks keep reaching the page underneath. input(kind, x, y) gets
+  // 'move' and 'down' in container px, and 'leave'. Returns a function that stops listening.
+  function watchPointer(container, input) {
+    const at = (kind, e) => {
+      const rect = container.getBoundingClientRect();
+      input(kind, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    const handlers = {
+      pointermove: (e) => at('move', e),
+      pointerdown: (e) => at('down', e),
+      // Touch has no hover: let go once the finger lifts
+      pointerup: (e) => { if (e.pointerType === 'touch') input('leave'); },
+      pointercancel: () => input('leave'),
+      pointerout: (e) => { if (!e.relatedTarget) input('leave'); }
+    };
+    for (const [type, fn] of Object.entries(handlers)) window.addEventListener(type, fn, { capture: true, passive: true });
+    return () => {
+      for (const [type, fn] of Object.entries(handlers)) window.removeEventListener(type, fn, true);
+    };
+  }
 
   // --------- Poisson-disc sampling (even spread) ---------
-  function poisson(width, height, r, maxTries = 30) {
+  // `accept(x, y)` optionally limits samples to a region (e.g. a shape mask). Parts of the
+  // region the growing front can't reach, like the separate letters of a word, get seeded
+  // again by dart throws until a long run of darts finds no room.
+  function poisson(width, height, r, rng, maxTries = 30, accept = null) {
     const k = maxTries;
     const cell = r / Math.sqrt(2);
     const gridW = Math.ceil(width / cell);
@@ -165,28 +697,687 @@
       return s;
     }
 
+    const fits = (x, y) => inBounds(x, y) && (!accept || accept(x, y)) && farEnough(x, y);
+    function grow() {
+      while (active.length) {
+        const idx = (rng() * active.length) | 0;
+        const s = active[idx];
+        let placed = false;
+        for (let n = 0; n < k; n++) {
+          const a = rng() * Math.PI * 2;
+          const rr = r * (1 + rng());
+          const x = s.x + Math.cos(a) * rr;
+          const y = s.y + Math.sin(a) * rr;
+          if (fits(x, y)) {
+            addSample(x, y);
+            placed = true;
+            break;
+          }
+        }
+        if (!placed) active.splice(idx, 1);
+      }
+    }
+
     // Start from center
-    addSample(width / 2, height / 2);
-    while (active.length) {
-      const idx = (Math.random() * active.length) | 0;
-      const s = active[idx];
-      let placed = false;
-      for (let n = 0; n < k; n++) {
-        const a = Math.random() * Math.PI * 2;
-        const rr = r * (1 + Math.random());
-        const x = s.x + Math.cos(a) * rr;
-        const y = s.y + Math.sin(a) * rr;
-        if (inBounds(x, y) && farEnough(x, y)) {
-          addSample(x, y);
-          placed = true;
-          break;
+    if (!accept || accept(width / 2, height / 2)) addSample(width / 2, height / 2);
+    grow();
+    if (accept) {
+      for (let misses = 0; misses < k * 50;) {
+        const x = rng() * width, y = rng() * height;
+        if (!fits(x, y)) {
+          misses++;
+          continue;
         }
+        addSample(x, y);
+        grow();
+        misses = 0;
       }
-      if (!placed) active.splice(idx, 1);
     }
     return samples;
   }
 
+  // --------- Shape masks (SHAPE placement) ---------
+  const SHAPE_CELL = 4;        // Mask resolution in CSS px
+  const SHAPE_EDGE_CELLS = 2;  // Outline band width in mask cells
+  const SHAPE_ROLE_OUTSIDE = 0, SHAPE_ROLE_FILL = 1, SHAPE_ROLE_EDGE = 2;
+
+  // Rasterize a SHAPE centered in a width x height box, scaled to `fit` of it, and measure how
+  // deep every point lies inside it. Returns null when nothing could be drawn (an unloaded or
+  // cross-origin image, no Path2D, empty text).
+  function shapeMask(shape, width, height, fit) {
+    const cols = Math.max(1, Math.ceil(width / SHAPE_CELL));
+    const rows = Math.max(1, Math.ceil(height / SHAPE_CELL));
+    const canvas = createCanvas();
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    // Scale factor and top-left corner that center a w x h drawing in the fitted box
+    const place = (w, h) => {
+      const k = Math.min(cols * fit / w, rows * fit / h);
+      return { k, x: (cols - w * k) / 2, y: (rows - h * k) / 2 };
+    };
+    ctx.fillStyle = '#000';
+    if (shape.image) {
+      const img = shape.image;
+      const iw = img.naturalWidth || img.width, ih = img.naturalHeight || img.height;
+      if (!iw || !ih) return null;
+      const p = place(iw, ih);
+      ctx.drawImage(img, p.x, p.y, iw * p.k, ih * p.k);
+    } else if (shape.path) {
+      if (typeof Path2D === 'undefined') return null;
+      const [vx, vy, vw, vh] = shape.viewBox || [0, 0, 100, 100];
+      const p = place(vw, vh);
+      ctx.setTransform(p.k, 0, 0, p.k, p.x - vx * p.k, p.y - vy * p.k);
+      ctx.fill(new Path2D(shape.path), shape.fillRule || 'nonzero');
+    } else if (shape.text) {
+      ctx.font = shape.font || 'bold 100px sans-serif';
+      ctx.textAlign = 'center';
+      const m = ctx.measureText(String(shape.text));
+      const ascent = m.actualBoundingBoxAscent || 0, descent = m.actualBoundingBoxDescent || 0;
+      if (!m.width || !(ascent + descent)) return null;
+      const p = place(m.width, ascent + descent);
+      ctx.setTransform(p.k, 0, 0, p.k, cols / 2, p.y + ascent * p.k);
+      ctx.fillText(String(shape.text), 0, 0);
+    } else {
+      return null;
+    }
+    let alpha;
+    try {
+      alpha = ctx.getImageData(0, 0, cols, rows).data;
+    } catch (e) {
+      return null;  // tainted by a cross-origin image
+    }
+
+    // Chamfer distance (in cells) from each inside cell to the nearest outside one
+    const dist = new Float32Array(cols * rows);
+    let inside = 0;
+    for (let i = 0; i < dist.length; i++) {
+      if (alpha[i * 4 + 3] >= 128) {
+        dist[i] = Infinity;
+        inside++;
+      }
+    }
+    if (!inside) return null;
+    const at = (x, y) => (x < 0 || y < 0 || x >= cols || y >= rows) ? 0 : dist[y * cols + x];
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const i = y * cols + x;
+        if (dist[i]) dist[i] = Math.min(dist[i], at(x - 1, y) + 1, at(x, y - 1) + 1, at(x - 1, y - 1) + Math.SQRT2, at(x + 1, y - 1) + Math.SQRT2);
+      }
+    }
+    let edge = 0;
+    for (let y = rows - 1; y >= 0; y--) {
+      for (let x = cols - 1; x >= 0; x--) {
+        const i = y * cols + x;
+        if (!dist[i]) continue;
+        dist[i] = Math.min(dist[i], at(x + 1, y) + 1, at(x, y + 1) + 1, at(x + 1, y + 1) + Math.SQRT2, at(x - 1, y + 1) + Math.SQRT2);
+        if (dist[i] <= SHAPE_EDGE_CELLS) edge++;
+      }
+    }
+    return {
+      area: inside * SHAPE_CELL * SHAPE_CELL,
+      edgeArea: edge * SHAPE_CELL * SHAPE_CELL,
+      edgeWidth: SHAPE_EDGE_CELLS * SHAPE_CELL,
+      // px inside the outline (0 = outside the shape)
+      depth: (x, y) => at(Math.floor(x / SHAPE_CELL), Math.floor(y / SHAPE_CELL)) * SHAPE_CELL
+    };
+  }
+
+  // --------- Uniform grid (neighbor search for link building) ---------
+  // Points are bucketed once into square cells (flat index arrays, no per-cell objects).
+  // Neighbors are visited ring by ring around a cell, so a caller can stop as soon as
+  // nothing further out can matter: after ring r every unvisited point is at least
+  // r * cell away from the query point. Retired points (e.g. nodes at their degree cap)
+  // still get visited, but cells holding nothing else are skipped.
+  class SpatialGrid {
+    constructor(points, cell) {
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const p of points) {
+        if (p.x < minX) minX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y > maxY) maxY = p.y;
+      }
+      if (!points.length) minX = minY = maxX = maxY = 0;
+      this.cell = cell;
+      this.minX = minX;
+      this.minY = minY;
+      this.cols = Math.floor((maxX - minX) / cell) + 1;
+      this.rows = Math.floor((maxY - minY) / cell) + 1;
+      // Counting sort into cells: cellStart[c]..cellStart[c + 1] indexes `items`
+      const cellOf = this.cellOf = new Int32Array(points.length);
+      this.cellStart = new Int32Array(this.cols * this.rows + 1);
+      for (let i = 0; i < points.length; i++) {
+        cellOf[i] = this.cellIndex(points[i].x, points[i].y);
+        this.cellStart[cellOf[i] + 1]++;
+      }
+      for (let c = 0; c < this.cols * this.rows; c++) this.cellStart[c + 1] += this.cellStart[c];
+      const fill = this.cellStart.slice(0, -1);
+      this.items = new Int32Array(points.length);
+      for (let i = 0; i < points.length; i++) this.items[fill[cellOf[i]]++] = i;
+      this.live = new Int32Array(this.cols * this.rows);
+      for (let c = 0; c < this.live.length; c++) this.live[c] = this.cellStart[c + 1] - this.cellStart[c];
+    }
+    retire(index) {
+      this.live[this.cellOf[index]]--;
+    }
+    cellIndex(x, y) {
+      const gx = clamp(Math.floor((x - this.minX) / this.cell), 0, this.cols - 1);
+      const gy = clamp(Math.floor((y - this.minY) / this.cell), 0, this.rows - 1);
+      return gy * this.cols + gx;
+    }
+    // Call visit(index) for every point in the cells exactly `ring` steps (Chebyshev) from (x, y)'s cell
+    visitRing(x, y, ring, visit) {
+      const gx = clamp(Math.floor((x - this.minX) / this.cell), 0, this.cols - 1);
+      const gy = clamp(Math.floor((y - this.minY) / this.cell), 0, this.rows - 1);
+      for (let cy = Math.max(0, gy - ring); cy <= Math.min(this.rows - 1, gy + ring); cy++) {
+        const edgeRow = cy === gy - ring || cy === gy + ring;
+        for (let cx = Math.max(0, gx - ring); cx <= Math.min(this.cols - 1, gx + ring); cx++) {
+          if (!edgeRow && cx !== gx - ring && cx !== gx + ring) continue;  // interior: earlier ring
+          const c = cy * this.cols + cx;
+          if (!this.live[c]) continue;
+          for (let k = this.cellStart[c]; k < this.cellStart[c + 1]; k++) visit(this.items[k]);
+        }
+      }
+    }
+    // Rings needed to cover every point within `dist`
+    ringsFor(dist) {
+      return Math.min(Math.ceil(dist / this.cell), Math.max(this.cols, this.rows));
+    }
+  }
+
+  // Order-independent jitter in [0, 1) for an integer pair key, so link weights don't depend on
+  // the order neighbors are visited in
+  function pairNoise(seed, key) {
+    let h = Math.imul(seed ^ key, 0x9E3779B1);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x85EBCA77);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE3D);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  // --------- Motion paths (loop-safe node orbits) ---------
+  // A path maps a band's loop angle to a node offset: path(angle, node, out, ctx) writes out.x/out.y
+  // in units of the band's radii, before its heading rotation. `angle` already carries the band's
+  // cycles, direction and phase; one full turn of it must bring every node back to where it began.
+  // ctx: { options (band.pathOptions), cosPhi, sinPhi (heading), width, height, seed, curlWaves }.
+  const MOTION_PATHS = new Map();
+  const TAU = Math.PI * 2;
+
+  /**
+   * Add a named motion path that bands can select with `path: name`. The path is probed at a
+   * few angles and rejected if it does not come back to the same offset one turn later.
+   * Registration is per realm: engines running in a worker only see the built-in paths.
+   * @param {string} name
+   * @param {(angle: number, node: object, out: {x: number, y: number}, ctx: object) => void} path
+   */
+  function registerMotionPath(name, path) {
+    if (typeof path !== 'function') throw new Error(`Motion path "${name}" must be a function`);
+    // Probe a few nodes and angles: the offset after one more turn must match
+    const ctx = { options: {}, cosPhi: 1, sinPhi: 0, width: 900, height: 900, seed: 1 };
+    const a = { x: 0, y: 0 }, b = { x: 0, y: 0 };
+    for (const [ox, oy, seedPhase] of [[120, 80, 0], [450, 610, 2.1], [800, 300, 4.7]]) {
+      const node = { ox, oy, seedPhase, z: 0.5 };
+      for (const angle of [0, 1.3, 3.9]) {
+        path(angle, node, a, ctx);
+        path(angle + TAU, node, b, ctx);
+        if (!(Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6)) {
+          throw new Error(`Motion path "${name}" does not return to its start after one loop`);
+        }
+      }
+    }
+    MOTION_PATHS.set(name, path);
+  }
+
+  // Six plane waves with integer time frequencies, seeded per engine (which keeps them until reseeded)
+  function curlWaves(seed) {
+    const rng = createRng(deriveSeed(seed, 'curl-noise'));
+    return Array.from({ length: 6 }, () => {
+      const heading = rng() * TAU;
+      return {
+        kx: Math.cos(heading), ky: Math.sin(heading),
+        m: (rng() < 0.5 ? -1 : 1) * (1 + Math.floor(rng() * 2)),
+        phase: rng() * TAU
+      };
+    });
+  }
+
+  registerMotionPath('ellipse', (angle, node, out) => {
+    const a = angle + node.seedPhase;
+    out.x = Math.cos(a);
+    out.y = Math.sin(a);
+  });
+  // Integer frequency ratio a:b (pathOptions { a: 3, b: 2, delta: π/2 })
+  registerMotionPath('lissajous', (angle, node, out, ctx) => {
+    const opts = ctx.options;
+    const a = angle + node.seedPhase;
+    out.x = Math.sin((Math.round(opts.a ?? 3) || 1) * a + (opts.delta ?? Math.PI / 2));
+    out.y = Math.sin((Math.round(opts.b ?? 2) || 1) * a);
+  });
+  registerMotionPath('figure8', (angle, node, out) => {
+    const a = angle + node.seedPhase;
+    out.x = Math.cos(a);
+    out.y = Math.sin(2 * a);
+  });
+  // Nodes swell outward from the viewport center and settle back once per turn; pathOptions.ripple
+  // delays outer nodes (in turns across the shorter side) so the swell travels outward
+  registerMotionPath('breathe', (angle, node, out, ctx) => {
+    const dx = node.ox - ctx.width / 2;
+    const dy = node.oy - ctx.height / 2;
+    const dist = Math.hypot(dx, dy);
+    if (dist < 1e-6) { out.x = out.y = 0; return; }
+    const lag = (ctx.options.ripple ?? 0.5) * TAU * dist / Math.max(1, Math.min(ctx.width, ctx.height));
+    const swell = 0.5 - 0.5 * Math.cos(angle - lag);
+    // Radial direction in the band's frame, so the heading rotation puts it back on the radius
+    out.x = (ctx.cosPhi * dx + ctx.sinPhi * dy) / dist * swell;
+    out.y = (ctx.cosPhi * dy - ctx.sinPhi * dx) / dist * swell;
+  });
+  // Divergence-free drift: the curl of a stream function built from plane waves whose time
+  // frequencies are whole numbers, so the field repeats every turn. Neighbors drift together
+  // without bunching; pathOptions.wavelength (px, default 420) sets the size of the eddies.
+  registerMotionPath('curl', (angle, node, out, ctx) => {
+    const waves = ctx.curlWaves || curlWaves(ctx.seed);
+    const k = TAU / (ctx.options.wavelength || 420);
+    let x = 0, y = 0;
+    for (const w of waves) {
+      const c = Math.cos(k * (w.kx * node.ox + w.ky * node.oy) + w.m * angle + w.phase);
+      x += w.ky * c;
+      y -= w.kx * c;
+    }
+    const norm = 1 / Math.sqrt(waves.length / 2);
+    out.x = x * norm;
+    out.y = y * norm;
+  });
+
+  // --------- Layout strategies ---------
+  // Same contract as a LAYOUT callback: (ctx) => { nodes: [{ x, y }], links: [[from, to]], directed? }
+  const LAYOUTS = {
+    // Columns of LAYOUT_LAYERS sizes, centered vertically on a shared spacing
+    layers({ width, height, margin, config }) {
+      const sizes = config.LAYOUT_LAYERS.map(n => Math.max(1, Math.round(n)));
+      const gap = (height - 2 * margin.y) / Math.max(1, Math.max(...sizes) - 1);
+      const nodes = [];
+      const columns = sizes.map((size, k) => {
+        const x = sizes.length > 1 ? margin.x + (width - 2 * margin.x) * k / (sizes.length - 1) : width / 2;
+        return Array.from({ length: size }, (_, j) => nodes.push({ x, y: height / 2 + (j - (size - 1) / 2) * gap }) - 1);
+      });
+      const links = [];
+      for (let k = 0; k + 1 < columns.length; k++) {
+        const from = columns[k], to = columns[k + 1];
+        if (config.LAYOUT_LINKS !== 'sparse') {
+          for (const a of from) for (const b of to) links.push([a, b]);
+          continue;
+        }
+        // Sparse: each node feeds its nearest nodes in the next column, and every node keeps an input
+        const nearest = (i, list) => list.slice().sort((p, q) => Math.abs(nodes[p].y - nodes[i].y) - Math.abs(nodes[q].y - nodes[i].y));
+        const fed = new Set();
+        for (const a of from) {
+          for (const b of nearest(a, to).slice(0, Math.max(1, config.LAYOUT_SPARSE_LINKS | 0))) {
+            links.push([a, b]);
+            fed.add(b);
+          }
+        }
+        for (const b of to) if (!fed.has(b)) links.push([nearest(b, from)[0], b]);
+      }
+      return { nodes, links, directed: true };
+    },
+
+    grid(ctx) {
+      return latticeLayout(ctx, false);
+    },
+
+    hex(ctx) {
+      return latticeLayout(ctx, true);
+    },
+
+    // Rings share the nodes by circumference (3 at least); each node links to its ring neighbors
+    // and to the node at the nearest angle on the ring inside it
+    rings({ width, height, count, margin, config, rng }) {
+      const ringCount = Math.max(1, config.LAYOUT_RINGS | 0);
+      const maxR = Math.min(width - 2 * margin.x, height - 2 * margin.y) / 2;
+      const radii = Array.from({ length: ringCount }, (_, k) => maxR * (k + 1) / ringCount);
+      const total = radii.reduce((sum, r) => sum + r, 0);
+      const nodes = [];
+      const links = [];
+      const rings = [];
+      let left = count;
+      radii.forEach((r, k) => {
+        const n = Math.max(3, k === ringCount - 1 ? left : Math.round(count * r / total));
+        left -= n;
+        const offset = rng() * TAU;
+        const first = nodes.length;
+        for (let j = 0; j < n; j++) {
+          const angle = offset + j * TAU / n;
+          nodes.push({ x: width / 2 + Math.cos(angle) * r, y: height / 2 + Math.sin(angle) * r });
+          links.push([first + j, first + (j + 1) % n]);
+          if (k > 0) {
+            const inner = rings[k - 1];
+            const step = Math.round((angle - inner.offset) / (TAU / inner.n));
+            links.push([inner.first + ((step % inner.n) + inner.n) % inner.n, first + j]);
+          }
+        }
+        rings.push({ first, n, offset });
+      });
+      return { nodes, links };
+    }
+  };
+
+  // Rectangular or (hex) row-offset lattice filling the area inside the margins, row-major
+  function latticeLayout({ width, height, count, margin }, hex) {
+    const w = width - 2 * margin.x, h = height - 2 * margin.y;
+    const cols = Math.max(1, Math.round(Math.sqrt(count * w / Math.max(1, h) * (hex ? Math.sqrt(3) / 2 : 1))));
+    const rows = Math.max(1, Math.ceil(count / cols));
+    const dx = hex ? w / Math.max(0.5, cols - 0.5) : (cols > 1 ? w / (cols - 1) : 0);
+    const dy = rows > 1 ? h / (rows - 1) : 0;
+    const nodes = [];
+    const links = [];
+    const at = (r, c) => (c >= 0 && c < cols && r * cols + c < count) ? r * cols + c : -1;
+    for (let i = 0; i < count; i++) {
+      const r = Math.floor(i / cols), c = i % cols;
+      const shift = (hex && r % 2) ? dx / 2 : 0;
+      nodes.push({
+        x: cols > 1 || hex ? margin.x + c * dx + shift : width / 2,
+        y: rows > 1 ? margin.y + r * dy : height / 2
+      });
+      const below = hex ? (r % 2 ? [c, c + 1] : [c - 1, c]) : [c];
+      for (const j of [at(r, c + 1), ...below.map(cc => at(r + 1, cc))]) if (j !== -1) links.push([i, j]);
+    }
+    return { nodes, links };
+  }
+
+  // --------- Exclusion zones ---------
+  const ZONE_LINK_STEPS = 8;  // Pieces a link crossing a zone is drawn in (and sampled at)
+
+  // Areas of the container to keep clear: elements, re-measured whenever a ResizeObserver or
+  // IntersectionObserver reports a change (out of view = inactive), or fixed rects in container px
+  class ExclusionZones {
+    constructor(container, onMove) {
+      this.container = container;
+      this._onMove = onMove;
+      this._zones = [];
+      this._key = '';
+      this._resizeObserver = null;
+      this._intersectionObserver = null;
+    }
+
+    add(target, opts = {}) {
+      const el = (target && typeof target.getBoundingClientRect === 'function') ? target : null;
+      if (el && !this.container) throw new Error('Element exclusion zones need an engine mounted in the DOM; pass a rect instead');
+      if (!el && !(target && ['x', 'y', 'width', 'height'].every(k => Number.isFinite(target[k])))) {
+        throw new Error('Exclusion zone must be an element or { x, y, width, height }');
+      }
+      this.remove(target);
+      this._zones.push({ target, el, padding: opts.padding, falloff: opts.falloff, visible: true, box: el ? null : { ...target } });
+      if (el) this._observe(el);
+      this.measure();
+    }
+
+    remove(target) {
+      const index = this._zones.findIndex(z => z.target === target);
+      if (index < 0) return false;
+      const { el } = this._zones[index];
+      this._zones.splice(index, 1);
+      if (el && this._resizeObserver) this._resizeObserver.unobserve(el);
+      if (el && this._intersectionObserver) this._intersectionObserver.unobserve(el);
+      return true;
+    }
+
+    clear() {
+      for (const zone of this._zones.slice()) this.remove(zone.target);
+    }
+
+    dispose() {
+      this.clear();
+      if (this._resizeObserver) this._resizeObserver.disconnect();
+      if (this._intersectionObserver) this._intersectionObserver.disconnect();
+    }
+
+    _observe(el) {
+      if (typeof ResizeObserver !== 'undefined') {
+        this._resizeObserver = this._resizeObserver || new ResizeObserver(() => this._changed());
+        this._resizeObserver.observe(el);
+      }
+      if (typeof IntersectionObserver !== 'undefined') {
+        this._intersectionObserver = this._intersectionObserver || new IntersectionObserver((entries) => {
+          for (const entry of entries) {
+            const zone = this._zones.find(z => z.el === entry.target);
+            if (zone) zone.visible = entry.isIntersecting;
+          }
+          this._changed();
+        }, { threshold: [0, 0.5, 1] });
+        this._intersectionObserver.observe(el);
+      }
+    }
+
+    _changed() {
+      if (this.measure()) this._onMove();
+    }
+
+    // Re-read element boxes relative to the container; true when any zone moved or toggled
+    measure() {
+      const origin = this.container ? this.container.getBoundingClientRect() : null;
+      for (const zone of this._zones) {
+        if (!zone.el) continue;
+        const r = zone.el.getBoundingClientRect();
+        zone.box = { x: r.left - origin.left, y: r.top - origin.top, width: r.width, height: r.height };
+      }
+      const key = JSON.stringify(this._zones.map(z => z.visible && z.box));
+      const changed = key !== this._key;
+      this._key = key;
+      return changed;
+    }
+
+    // Active zones with padding applied: { x0, y0, x1, y1, falloff }
+    rects(padding, falloff) {
+      return this._zones.filter(z => z.visible && z.box).map(z => {
+        const pad = z.padding ?? padding;
+        return {
+          x0: z.box.x - pad,
+          y0: z.box.y - pad,
+          x1: z.box.x + z.box.width + pad,
+          y1: z.box.y + z.box.height + pad,
+          falloff: Math.max(0, z.falloff ?? falloff)
+        };
+      });
+    }
+  }
+
+  // 0 inside any (padded) zone, ramping to 1 across its falloff
+  function zoneFade(rects, x, y) {
+    let fade = 1;
+    for (const r of rects) {
+      const dx = Math.max(r.x0 - x, 0, x - r.x1), dy = Math.max(r.y0 - y, 0, y - r.y1);
+      const d = Math.hypot(dx, dy);
+      if (d > 0 && d >= r.falloff) continue;
+      fade = Math.min(fade, r.falloff ? d / r.falloff : 0);
+    }
+    return fade;
+  }
+
+  // --------- Signal input ---------
+  function isSignalSource(source) {
+    return typeof source === 'function' || (!!source && typeof source.getByteFrequencyData === 'function');
+  }
+
+  // Raw 0..1 levels (SIGNAL_BANDS of them) from a sampler or an AnalyserNode. `state` keeps the
+  // buffers between calls. A sampler's single number drives every band; an array is spread over them.
+  function sampleSignal(source, cfg, state) {
+    const bands = Math.max(1, Math.round(cfg.SIGNAL_BANDS));
+    if (!state.raw || state.raw.length !== bands) state.raw = new Float32Array(bands);
+    const raw = state.raw;
+    if (typeof source === 'function') {
+      let value = 0;
+      try {
+        value = source();
+      } catch (err) {
+        warnOnce(`signal sampler threw (${err && err.message}); reading it as silence`);
+      }
+      if (value && typeof value.length === 'number' && value.length > 0) {
+        for (let k = 0; k < bands; k++) raw[k] = Number(value[Math.floor(k * value.length / bands)]) || 0;
+      } else {
+        raw.fill(Number(value) || 0);
+      }
+    } else {
+      const bins = state.bins && state.bins.length === source.frequencyBinCount
+        ? state.bins : (state.bins = new Uint8Array(source.frequencyBinCount));
+      source.getByteFrequencyData(bins);
+      const hzPerBin = source.context.sampleRate / source.fftSize;
+      const lo = Math.max(1, cfg.SIGNAL_MIN_HZ), ratio = Math.max(lo * 1.01, cfg.SIGNAL_MAX_HZ) / lo;
+      for (let k = 0; k < bands; k++) {
+        const i0 = Math.min(bins.length - 1, Math.floor(lo * Math.pow(ratio, k / bands) / hzPerBin));
+        const i1 = Math.min(bins.length, Math.max(i0 + 1, Math.ceil(lo * Math.pow(ratio, (k + 1) / bands) / hzPerBin)));
+        let sum = 0;
+        for (let i = i0; i < i1; i++) sum += bins[i];
+        raw[k] = sum / ((i1 - i0) * 255);
+      }
+    }
+    for (let k = 0; k < bands; k++) raw[k] = clamp(raw[k] * cfg.SIGNAL_GAIN, 0, 1);
+    return raw;
+  }
+
+  // --------- Events & plugins ---------
+  const ENGINE_EVENTS = ['pulse:spawn', 'pulse:arrive', 'loop:wrap', 'resize', 'rebuild', 'theme:change'];
+  const RENDER_HOOKS = ['beforeRender', 'afterLinks', 'afterNodes'];
+
+  // Listener sets per event/hook, plus installed plugins. A plugin's listeners are tracked
+  // while it installs, so removing the plugin removes them too. `onHooksChange` runs whenever
+  // a render hook is added or removed.
+  class EventHub {
+    constructor(onHooksChange = null) {
+      this._onHooksChange = onHooksChange;
+      this._listeners = new Map();
+      this._plugins = new Map();  // plugin -> { name, state, offs }
+      this._installing = null;
+    }
+
+    on(type, fn) {
+      if (!ENGINE_EVENTS.includes(type) && !RENDER_HOOKS.includes(type)) warnOnce(`unknown event "${type}"`);
+      if (typeof fn !== 'function') throw new Error(`Listener for "${type}" must be a function`);
+      if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+      this._listeners.get(type).add(fn);
+      if (this._onHooksChange && RENDER_HOOKS.includes(type)) this._onHooksChange();
+      const off = () => this.off(type, fn);
+      if (this._installing) this._installing.offs.push(off);
+      return off;
+    }
+
+    off(type, fn) {
+      const set = this._listeners.get(type);
+      if (!set || !set.delete(fn)) return;
+      if (this._onHooksChange && RENDER_HOOKS.includes(type)) this._onHooksChange();
+    }
+
+    has(type) {
+      const set = this._listeners.get(type);
+      return !!set && set.size > 0;
+    }
+
+    types() {
+      return [...this._listeners.keys()].filter(type => this.has(type));
+    }
+
+    // A throwing listener is reported and skipped; it must not stop the animation loop
+    emit(type, ...args) {
+      const set = this._listeners.get(type);
+      if (!set) return;
+      for (const fn of [...set]) {
+        try {
+          fn(...args);
+        } catch (err) {
+          console.error(`NNAnimation: "${type}" listener failed`, err);
+        }
+      }
+    }
+
+    use(engine, plugin, options) {
+      const install = typeof plugin === 'function' ? plugin : plugin && plugin.install;
+      if (typeof install !== 'function') throw new Error('A plugin is an install function or { name, install }');
+      const remove = () => this.remove(plugin);
+      if (this._plugins.has(plugin)) return remove;
+      const record = { name: plugin.name || null, state: undefined, offs: [] };
+      this._installing = record;
+      try {
+        record.state = install.call(plugin, engine, options);
+      } catch (err) {
+        for (const off of record.offs) off();
+        throw err;
+      } finally {
+        this._installing = null;
+      }
+      this._plugins.set(plugin, record);
+      return remove;
+    }
+
+    remove(plugin) {
+      const record = this._plugins.get(plugin);
+      if (!record) return false;
+      this._plugins.delete(plugin);
+      for (const off of record.offs) off();
+      const state = record.state;
+      if (typeof state === 'function') state();
+      else if (state && typeof state.dispose === 'function') state.dispose();
+      return true;
+    }
+
+    plugin(nameOrPlugin) {
+      if (this._plugins.has(nameOrPlugin)) return this._plugins.get(nameOrPlugin).state;
+      for (const record of this._plugins.values()) {
+        if (record.name !== null && record.name === nameOrPlugin) return record.state;
+      }
+      return undefined;
+    }
+
+    // Plugins come off last-installed first, so later ones can rely on earlier ones
+    dispose() {
+      for (const plugin of [...this._plugins.keys()].reverse()) this.remove(plugin);
+      this._listeners.clear();
+    }
+  }
+
+  // --------- Graph import/export ---------
+  const GRAPH_VERSION = 1;
+
+  // Validate exportGraph() output (or its JSON text) and copy out what the engine uses.
+  // Positions are viewport fractions; links are index pairs into nodes / bgNodes.
+  function readGraph(input) {
+    const graph = (typeof input === 'string') ? JSON.parse(input) : input;
+    if (!graph || !Array.isArray(graph.nodes) || !graph.nodes.length) {
+      throw new Error('Graph must have a non-empty nodes array');
+    }
+    if ((graph.version ?? GRAPH_VERSION) > GRAPH_VERSION) {
+      throw new Error(`Graph version ${graph.version} is newer than this build supports (${GRAPH_VERSION})`);
+    }
+    const point = (pt, what, i) => {
+      if (!pt || !Number.isFinite(pt.x) || !Number.isFinite(pt.y)) throw new Error(`Graph ${what}[${i}] needs finite x and y`);
+      return { x: pt.x, y: pt.y, z: Number.isFinite(pt.z) ? clamp(pt.z, 0, 1) : 0.5 };
+    };
+    const pairs = (list, count, what) => (list || []).map((pair, i) => {
+      const [a, b] = pair || [];
+      if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0 || a >= count || b >= count || a === b) {
+        throw new Error(`Graph ${what}[${i}] is not a pair of distinct node indices`);
+      }
+      return [a, b];
+    });
+    const nodes = graph.nodes.map((n, i) => ({
+      ...point(n, 'nodes', i),
+      seedPhase: Number.isFinite(n.seedPhase) ? n.seedPhase : 0,
+      band: Number.isInteger(n.band) ? n.band : null
+    }));
+    const bgNodes = Array.isArray(graph.bgNodes) ? graph.bgNodes.map((b, i) => point(b, 'bgNodes', i)) : null;
+    const links = graph.links || null;
+    return {
+      seed: graph.seed ?? null,
+      nodes,
+      bgNodes,
+      links: links ? [...pairs(links.dynamic, nodes.length, 'links.dynamic'), ...pairs(links.static, nodes.length, 'links.static')] : null,
+      bgLinks: (bgNodes && links && links.bg) ? pairs(links.bg, bgNodes.length, 'links.bg') : null,
+      directed: !!graph.directed,
+      config: isPlainObject(graph.config) ? graph.config : null
+    };
+  }
+
   // --------------- Object Pool (for pulses) ---------------
   class ObjectPool {
     constructor(createFn, resetFn, initialSize) {
@@ -210,31 +1401,195 @@
     }
   }
 
+  // --------- Frame export helpers (used by recordLoop) ---------
+  function canvasToBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Canvas export failed")), type);
+    });
+  }
+
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Paces frames in real time into a MediaRecorder fed by canvas.captureStream(0)
+  async function recordCanvasVideo(canvas, fps, frameCount, frameMs, drawFrame, opts) {
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+      throw new Error("Video recording needs MediaRecorder and canvas.captureStream; use format 'png'");
+    }
+    const mimeType = opts.mimeType ||
+      ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: opts.videoBitsPerSecond });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    const t0 = performance.now();
+    for (let k = 0; k < frameCount; k++) {
+      drawFrame(k);
+      track.requestFrame();
+      await delay(Math.max(0, t0 + (k + 1) * frameMs - performance.now()));
+    }
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(t => t.stop());
+    return new Blob(chunks, { type: mimeType || 'video/webm' });
+  }
+
+  // Minimal ZIP writer (stored, no compression: PNG frames are already compressed)
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function zipFiles(files) {
+    const encoder = new TextEncoder();
+    const DOS_DATE = (0 << 9) | (1 << 5) | 1;  // 1980-01-01
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const size = file.data.length;
+      const crc = crc32(file.data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);         // version needed
+      local.setUint16(12, DOS_DATE, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size, true);      // compressed size (stored)
+      local.setUint32(22, size, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);         // version made by
+      entry.setUint16(6, 20, true);         // version needed
+      entry.setUint16(14, DOS_DATE, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);    // local header offset
+      central.push(entry, name);
+      offset += 30 + name.length + size;
+    }
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
   class NeuralNetworkEngine {
-    constructor(containerId) {
-      this.container = document.getElementById(containerId);
-      if (!this.container) throw new Error("Container not found");
+    /**
+     * @param {string|HTMLElement|HTMLCanvasElement|object} target  Element id, container element, a canvas
+     *   to render into, or a surface `{ canvases: { bg, static, overlay?, dynamic }, width, height, dpr }`
+     * @param {object} [options]  Partial config (same keys as DEFAULT_CONFIG) deep-merged over the defaults, plus `seed`
+     */
+    constructor(target, options = {}) {
+      // on() listeners, render hooks and use() plugins. The bg and static layers are cached, so
+      // they are redrawn (once per batch of changes) when their render hooks change.
+      this._events = new EventHub(() => {
+        if (this._hookRedrawPending) return;
+        this._hookRedrawPending = true;
+        queueMicrotask(() => {
+          this._hookRedrawPending = false;
+          if (this._destroyed) return;
+          this._drawBackground();
+          this._drawStaticLayer();
+        });
+      });
+      // _baseConfig is what the caller asked for; config is that with the current quality level applied
+      this._baseConfig = resolveConfig(options);
+      this._qualityLevel = this._qualityFloor();
+      this.config = this._effectiveConfig();
+      this._baseline = computeBaseline(this.config);
 
-      // Read theme-based colors from CSS variables
-      this.NODE_RGB = readCssRGBTuple('--nn-node-color', '96, 165, 250');
-      this.LINK_RGB = readCssRGBTuple('--nn-link-color', '96, 165, 250');
-      this.PULSE_RGB = readCssRGBTuple('--nn-pulse-color', '153, 246, 228');
+      // How the layers reach the screen:
+      //  - container: four stacked DOM canvases; parallax and edge fades done in CSS
+      //  - <canvas>: offscreen layers composited into it each frame
+      //  - surface: every layer drawn into its own given canvas, parallax and fades in-canvas
+      this.container = null;
+      this.output = null;
+      this._surface = null;
+      this._views = null;
+      if (isSurface(target)) {
+        this._surface = target;
+      } else {
+        this.container = resolveTarget(target);
+        if (this.container.tagName === 'CANVAS') {
+          this.output = { c: this.container, ctx: this.container.getContext('2d', { alpha: true }) };
+        }
+      }
+      this._cssCompositing = !!this.container && !this.output;
+
+      // Seed every random decision so the same seed + viewport reproduce the same scene
+      const seed = this.config.SEED;
+      this._seed = (seed === null || seed === undefined) ? ((Math.random() * 4294967296) >>> 0) : hashSeed(seed);
+      this._pulseRng = createRng(deriveSeed(this._seed, 'pulses'));
+      this._curlWaves = null;           // 'curl' motion path waves for this seed, built on first use
+      this._loopIndex = 0;              // completed loops, for 'loop:wrap'
+      this._scheduleEventMs = null;     // loop time of the last 'loop'-mode pulse events
+
+      // Palette colors (THEME / PALETTES / CSS variables); page theme changes crossfade to the new ones
+      this._externalColors = false;  // worker engines get resolved colors by message instead
+      this._colorFade = null;
+      this._themeName = resolveThemeName(this.config);
+      this.colors = resolvePalette(this.config, this._themeName);
+      this._unwatchTheme = watchTheme(() => this._applyTheme(this.config.THEME_FADE_MS));
 
       // Device pixel ratio (clamped)
-      this.dpr = clamp(window.devicePixelRatio || 1, 1, CONFIG.DPR_MAX);
+      this.dpr = clamp(this._deviceDpr(), 1, this.config.DPR_MAX);
 
-      // Create three canvas layers (background, static, dynamic) with appropriate z-index
-      this.bg = this._mkLayer(0);
-      this.static = this._mkLayer(1);
-      this.dynamic = this._mkLayer(2);
+      // Create the canvas layers (background, static, pulse overlay, dynamic) with appropriate z-index.
+      // The overlay carries the static/bg pulses so those cached layers never need a per-frame redraw.
+      if (this._surface) {
+        // bg/static render into caches that are blitted to the visible canvases with parallax;
+        // without an overlay canvas the layer pulses go under the dynamic content instead
+        const { canvases } = this._surface;
+        this.bg = this._mkLayer(0, true);
+        this.static = this._mkLayer(1, true);
+        this.dynamic = { c: canvases.dynamic, ctx: canvases.dynamic.getContext('2d', { alpha: true }) };
+        this.overlay = canvases.overlay ? { c: canvases.overlay, ctx: canvases.overlay.getContext('2d', { alpha: true }) } : this.dynamic;
+        this._views = {
+          bg: { c: canvases.bg, ctx: canvases.bg.getContext('2d', { alpha: true }) },
+          static: { c: canvases.static, ctx: canvases.static.getContext('2d', { alpha: true }) }
+        };
+        this._viewsKey = '';
+      } else {
+        this.bg = this._mkLayer(0);
+        this.static = this._mkLayer(1);
+        this.overlay = this._mkLayer(2);
+        this.dynamic = this._mkLayer(3);
+      }
 
-      // Assign IDs to layers for styling (optional)
-      this.bg.c.id = 'nn-layer-bg';
-      this.static.c.id = 'nn-layer-static';
-      this.dynamic.c.id = 'nn-layer-dynamic';
+      // Assign IDs to layers for styling (optional; only DOM-mounted layers, ids must stay unique)
+      if (this._cssCompositing && !this.container.querySelector('#nn-layer-bg')) {
+        this.bg.c.id = 'nn-layer-bg';
+        this.static.c.id = 'nn-layer-static';
+        this.overlay.c.id = 'nn-layer-overlay';
+        this.dynamic.c.id = 'nn-layer-dynamic';
+      }
 
-      this._resizePrevW = this.container.clientWidth || 1;
-      this._resizePrevH = this.container.clientHeight || 1;
+      const size = this._measure();
+      this._resizePrevW = size.w || 1;
+      this._resizePrevH = size.h || 1;
 
       // Preallocate collections
       this.nodes = [];
@@ -244,30 +1599,44 @@
       this.staticLinks = [];
       this.bgLinks = [];
       this.movingFlags = [];
-      this._bgDirX = Math.cos(CONFIG.BG_DRIFT_HEADING_RAD || 0);
-      this._bgDirY = Math.sin(CONFIG.BG_DRIFT_HEADING_RAD || 0);
+      this._graph = null;  // importGraph() pins nodes and links here
+      this._shapeMask = null;  // SHAPE raster for the current size
+      this._shapeRoles = null;  // per node: outside / inside / on the outline of SHAPE
+      this._exclusions = null;  // addExclusion() zones, created on first use
+      this._zoneRects = [];     // their padded rects, read while placing and drawing
+      this._bgDirX = Math.cos(this.config.BG_DRIFT_HEADING_RAD || 0);
+      this._bgDirY = Math.sin(this.config.BG_DRIFT_HEADING_RAD || 0);
 
-      // Responsive caps calculated per resize (remain tunable via CONFIG)
-      this.nodeMax = CONFIG.NODE_COUNT;
-      this.bgNodeMax = CONFIG.BG_NODE_COUNT;
-      this.linkDistanceMax = CONFIG.MAX_LINK_DISTANCE;
-      this.bgLinkDistanceMax = CONFIG.BG_LINK_MAX_DISTANCE;
-      this.pulseMaxActive = CONFIG.PULSE_MAX_ACTIVE;
+      // Responsive caps calculated per resize (remain tunable via config)
+      this.nodeMax = this.config.NODE_COUNT;
+      this.bgNodeMax = this.config.BG_NODE_COUNT;
+      this.linkDistanceMax = this.config.MAX_LINK_DISTANCE;
+      this.bgLinkDistanceMax = this.config.BG_LINK_MAX_DISTANCE;
+      this.pulseMaxActive = this.config.PULSE_MAX_ACTIVE;
 
       // Initial sizing and node setup
       this._resize(true);
-      window.addEventListener('resize', () => this._resize(false), { passive: true });
+      this._resizePending = false;
+      this._onResize = () => this._requestResize();
+      if (this.container) window.addEventListener('resize', this._onResize, { passive: true });
 
       // Simulation state
       // Pulses:
       this.pulsePool = new ObjectPool(
-        () => ({ linkIndex: -1, t: 0, active: false, dist: 1 }),
-        (o) => { o.linkIndex = -1; o.t = 0; o.active = false; o.dist = 1; return o; },
-        CONFIG.PULSE_POOL_SIZE
+        () => ({ linkIndex: -1, t: 0, active: false, dist: 1, dir: 1, energy: 1, hop: 0, scheduled: false, fired: false }),
+        (o) => { o.linkIndex = -1; o.t = 0; o.active = false; o.dist = 1; o.dir = 1; o.energy = 1; o.hop = 0; o.scheduled = false; o.fired = false; return o; },
+        this.config.PULSE_POOL_SIZE
       );
-      this.pulses = new Array(CONFIG.PULSE_POOL_SIZE);
+      this.pulses = new Array(this.config.PULSE_POOL_SIZE);
       this.pulsesLen = 0;
       this._lastPulseSpawn = 0;
+      this._initLayerPulses();
+      // setActivity() level, eased toward its target each step, and the pulse settings it yields
+      const activity = clamp(this.config.ACTIVITY, 0, 1);
+      this._activity = { level: activity, target: activity, spawnEveryMs: 0, maxActive: 0, speed: 0, brightness: 1 };
+      this._stepActivity(0);
+      // setSignal() input: smoothed per-band levels; `external` holds levels posted to a worker engine
+      this._signal = { source: null, external: null, active: false, levels: new Float32Array(0), overall: 0, raw: null, bins: null };
       this._globalOffsetX = 0;
       this._globalOffsetY = 0;
       this._bgOffsetX = 0;
@@ -275,14 +1644,15 @@
 
       // Offscreen sprites for nodes and pulses
       this._buildSprites();
+      this._applyBackgroundStyle();
 
       this._loopStart = performance.now();
-      this._lastTheta = Math.random() * Math.PI * 2;  // randomize initial phase
+      this._lastTheta = this._pulseRng() * Math.PI * 2;  // randomize initial phase
 
-      this._startPhase = (CONFIG.INITIAL_GLOBAL_PHASE_TURNS || 0) * Math.PI * 2;
+      this._startPhase = (this.config.INITIAL_GLOBAL_PHASE_TURNS || 0) * Math.PI * 2;
 
       // Initialize node positions and links
-      this._setupNodesEven();
+      this._setupNodes();
       this._buildLinks();
       this._buildBgLinks();
       this._drawBackground();
@@ -290,91 +1660,668 @@
 
       // Begin main loop (fixed timestep update + render)
       this._running = false;
+      this._pausedAt = null;    // when stop() froze loop time; start() resumes from there
+      this._recording = null;   // { resume } while recordLoop() owns the loop
+      this._destroyed = false;
+      this._disposers = [];     // extra teardown run by destroy() (e.g. autoInit's page listeners)
       this._prev = performance.now();
       this._lag = 0;
-      this._dt_ms = 1000 / CONFIG.UPDATE_HZ;
-      this._minFrameMs = 1000 / CONFIG.RENDER_FPS_CAP;
+      this._dt_ms = 1000 / this.config.UPDATE_HZ;
+      this._minFrameMs = 1000 / this.config.RENDER_FPS_CAP;
+      this._resetQualityStats();
 
       // Apply radial edge fades via CSS masks if enabled
-      if (CONFIG.EDGE_FADE_DYNAMIC) {
-        const c = this.dynamic.c;
-        c.style.maskImage = `radial-gradient(circle at center, black ${CONFIG.EDGE_FADE_DYNAMIC_INNER * 100}%, transparent ${CONFIG.EDGE_FADE_DYNAMIC_OUTER * 100}%)`;
-        c.style.maskRepeat = 'no-repeat';
-        c.style.maskPosition = 'center';
-        c.style.maskSize = 'cover';
-        c.style.webkitMaskImage = c.style.maskImage;
-        c.style.webkitMaskRepeat = 'no-repeat';
-        c.style.webkitMaskPosition = 'center';
-        c.style.webkitMaskSize = 'cover';
-      }
-      if (CONFIG.EDGE_FADE_STATIC) {
-        const c = this.static.c;
-        c.style.maskImage = `radial-gradient(circle at center, black ${CONFIG.EDGE_FADE_STATIC_INNER * 100}%, transparent ${CONFIG.EDGE_FADE_STATIC_OUTER * 100}%)`;
-        c.style.maskRepeat = 'no-repeat';
-        c.style.maskPosition = 'center';
-        c.style.maskSize = 'cover';
-        c.style.webkitMaskImage = c.style.maskImage;
-        c.style.webkitMaskRepeat = 'no-repeat';
-        c.style.webkitMaskPosition = 'center';
-        c.style.webkitMaskSize = 'cover';
-      }
-      if (CONFIG.EDGE_FADE_BG) {
-        const c = this.bg.c;
-        c.style.maskImage = `radial-gradient(circle at center, black ${CONFIG.EDGE_FADE_BG_INNER * 100}%, transparent ${CONFIG.EDGE_FADE_BG_OUTER * 100}%)`;
-        c.style.maskRepeat = 'no-repeat';
-        c.style.maskPosition = 'center';
-        c.style.maskSize = 'cover';
-        c.style.webkitMaskImage = c.style.maskImage;
-        c.style.webkitMaskRepeat = 'no-repeat';
-        c.style.webkitMaskPosition = 'center';
-        c.style.webkitMaskSize = 'cover';
-      }
-    }
+      this._applyEdgeFades();
 
-    _mkLayer(zIndex) {
-      const c = document.createElement('canvas');
-      c.style.zIndex = String(zIndex);
-      const ctx = c.getContext('2d', { alpha: true });
-      this.container.appendChild(c);
-      return { c, ctx };
+      // Pointer state (container-local px); listeners only when INTERACTION is on
+      this._pointer = { x: 0, y: 0, active: false };
+      this._unwatchPointer = null;
+      this._bindPointer(this.config.INTERACTION);
     }
 
-    _applyResponsiveScaling(width, height) {
-      const area = Math.max(1, width * height);
-      const kA = area / BASELINE.AREA;
-      const kL = Math.sqrt(kA);
-      this.nodeMax = clamp(Math.round(BASELINE.NODE_COUNT * kA), 16, CONFIG.NODE_COUNT);
-      this.bgNodeMax = clamp(Math.round(BASELINE.BG_NODE_COUNT * kA), 12, CONFIG.BG_NODE_COUNT);
-      this.linkDistanceMax = Math.max(80, Math.round(BASELINE.MAX_LINK_DISTANCE * kL));
-      this.pulseMaxActive = clamp(Math.round(BASELINE.PULSE_MAX_ACTIVE * kL), 1, CONFIG.PULSE_MAX_ACTIVE);
-      this.bgLinkDistanceMax = Math.max(60, Math.round(BASELINE.BG_LINK_MAX_DISTANCE * kL));
+    /**
+     * Live-tune a running engine. Accepts any subset of config keys (plus `seed`) and
+     * does only the work the change needs: sprites, links, nodes, masks or timing, then
+     * redraws just the affected cached layers. Returns the engine for chaining.
+     */
+    configure(partial) {
+      this._baseConfig = resolveConfig(partial, this._baseConfig);
+      this._qualityLevel = this._baseConfig.ADAPTIVE_QUALITY
+        ? clamp(this._qualityLevel, this._qualityFloor(), this._baseConfig.QUALITY_LEVELS.length)
+        : 0;
+      return this._applyConfig(this._effectiveConfig());
     }
 
-    _resize(first) {
-      const w = this.container.clientWidth;
-      const h = this.container.clientHeight;
-      const prevW = this._resizePrevW;
-      const prevH = this._resizePrevH;
-      this._resizePrevW = w;
-      this._resizePrevH = h;
-
-      this._applyResponsiveScaling(w, h);
-
-      this.width = w;
-      this.height = h;
-      for (const layer of [this.bg, this.static, this.dynamic]) {
-        layer.c.width = Math.floor(w * this.dpr);
-        layer.c.height = Math.floor(h * this.dpr);
-        layer.c.style.width = w + 'px';
-        layer.c.style.height = h + 'px';
-        layer.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    // Switch to a fully resolved config, doing only the work the changed keys need
+    _applyConfig(next) {
+      const prev = this.config;
+      const effects = new Set();
+      for (const key of Object.keys(next)) {
+        if (configValueEquals(prev[key], next[key])) continue;
+        for (const effect of (CONFIG_EFFECTS[key] || [])) effects.add(effect);
       }
+      this.config = next;
+      if (!effects.size) return this;
 
-      // Proportional reflow of node positions & origins on resize
-      const targets = this._getTargetCounts();
+      const redraw = new Set();
+      if (effects.has('timing')) {
+        this._dt_ms = 1000 / next.UPDATE_HZ;
+        this._minFrameMs = 1000 / next.RENDER_FPS_CAP;
+      }
+      if (effects.has('drift')) {
+        this._bgDirX = Math.cos(next.BG_DRIFT_HEADING_RAD || 0);
+        this._bgDirY = Math.sin(next.BG_DRIFT_HEADING_RAD || 0);
+      }
+      if (effects.has('pulses')) this._clearPulses();
+      if (effects.has('activity')) this._activity.target = clamp(next.ACTIVITY, 0, 1);
+      if (effects.has('interaction')) this._bindPointer(next.INTERACTION);
+      if (effects.has('theme')) this._applyTheme(next.THEME_FADE_MS);
+      if (effects.has('sprites')) {
+        this._buildSprites();
+        redraw.add('bg').add('static');
+      }
+      if (effects.has('masks')) {
+        this._applyEdgeFades();
+        // Canvas-composited layers carry their fade in the pixels
+        if (!this._cssCompositing) redraw.add('bg').add('static');
+      }
+
+      if (effects.has('shape')) this._shapeMask = null;
+      if (effects.has('resize')) {
+        // Resizing re-derives DPR, responsive caps and node/link rebuilds, and redraws everything;
+        // the other effects still apply on top of it below
+        this.dpr = clamp(this._deviceDpr(), 1, next.DPR_MAX);
+        this._baseline = computeBaseline(next);
+        this._resize(false);
+      }
+
+      // A new seed re-places every node, so it takes the layout rebuild below (after scaling and
+      // zones have been updated for the rest of this change)
+      if (effects.has('seed')) this._reseed(next.SEED ?? this._seed);
+      const relayout = effects.has('layout') || effects.has('seed');
+
+      let rebuildLinks = effects.has('links') || effects.has('bands');
+      let rebuildBgLinks = effects.has('bgLinks');
+      if (effects.has('scaling')) {
+        this._baseline = computeBaseline(next);
+        const prevLinkMax = this.linkDistanceMax;
+        const prevBgLinkMax = this.bgLinkDistanceMax;
+        this._applyResponsiveScaling(this.width, this.height);
+        const targets = this._getTargetCounts();
+        if (!relayout && (this.nodes.length !== targets.nodeCount || this.bgNodes.length !== targets.bgCount)) {
+          this._setupNodes();
+          rebuildLinks = rebuildBgLinks = true;
+        }
+        if (this.linkDistanceMax !== prevLinkMax) rebuildLinks = true;
+        if (this.bgLinkDistanceMax !== prevBgLinkMax) rebuildBgLinks = true;
+      }
+      if (effects.has('zones') && this._exclusions) {
+        this._zoneRects = this._exclusions.rects(next.EXCLUSION_PADDING, next.EXCLUSION_FALLOFF);
+        redraw.add('bg').add('static');
+      }
+      if (relayout) {
+        this._clearPulses();
+        this._setupNodes();
+        rebuildLinks = rebuildBgLinks = true;
+      } else if (effects.has('bands')) {
+        this._assignBands();
+      }
+      if (rebuildLinks) {
+        this._buildLinks();
+        this._dropStalePulses();
+        redraw.add('static');
+      }
+      if (rebuildBgLinks) {
+        this._buildBgLinks();
+        redraw.add('bg');
+      }
+      for (const effect of ['bg', 'static']) if (effects.has(effect)) redraw.add(effect);
+
+      if (redraw.has('bg')) this._drawBackground();
+      if (redraw.has('static')) this._drawStaticLayer();
+      return this;
+    }
+
+    // ---------------- Theme ----------------
+    /** Name of the palette in use (THEME with 'auto' resolved against the page). */
+    getTheme() {
+      return this._themeName;
+    }
+
+    /**
+     * Re-resolve the palette (config overrides, the page theme and its CSS variables) and
+     * switch to it. Engines already follow `data-theme` and the system scheme on their own;
+     * call this after changing the --nn-*-color variables some other way.
+     * @param {number} [fadeMs]  Crossfade duration; instant by default
+     */
+    refreshColors(fadeMs = 0) {
+      this._applyTheme(fadeMs);
+    }
+
+    _applyTheme(fadeMs) {
+      if (this._externalColors) return;
+      this._themeName = resolveThemeName(this.config);
+      this._setColors(resolvePalette(this.config, this._themeName), fadeMs);
+    }
+
+    // Switch to a resolved color set: at once, or (while running) crossfading from whatever is
+    // on screen, including a fade that is still under way
+    _setColors(colors, fadeMs = 0) {
+      if (!this._colorFade && configValueEquals(this.colors, colors)) return;
+      if (this._events.has('theme:change')) this._events.emit('theme:change', { theme: this._themeName, colors, fadeMs });
+      if (fadeMs > 0 && this._running) {
+        this._colorFade = { from: this.colors, to: colors, start: performance.now(), ms: fadeMs };
+        return;
+      }
+      this._colorFade = null;
+      this.colors = colors;
+      this._recolor();
+    }
+
+    _stepColorFade(now) {
+      const fade = this._colorFade;
+      if (!fade) return;
+      const t = clamp((now - fade.start) / fade.ms, 0, 1);
+      if (t < 1) {
+        this.colors = mixColors(fade.from, fade.to, t * t * (3 - 2 * t));
+      } else {
+        this.colors = fade.to;
+        this._colorFade = null;
+      }
+      this._recolor();
+    }
+
+    _recolor() {
+      this._buildSprites();
+      this._drawBackground();
+      this._drawStaticLayer();
+      this._applyBackgroundStyle();
+    }
+
+    // DOM layers stay transparent, so the palette background goes on the container behind
+    // them. A background this engine never set is left alone.
+    _applyBackgroundStyle() {
+      if (!this._cssCompositing) return;
+      const css = backgroundCss(this.colors.background);
+      if (css || this._ownsBackground) this.container.style.background = css;
+      this._ownsBackground = !!css;
+    }
+
+    // Canvas-composited output paints the palette background itself, under every layer
+    _paintBackground(ctx, width, height) {
+      const bg = this.colors.background;
+      if (!bg || bg.alpha <= 0) return;
+      if (bg.stops.length > 1) {
+        const grad = ctx.createLinearGradient(0, 0, 0, height);
+        bg.stops.forEach((rgb, k) => grad.addColorStop(k / (bg.stops.length - 1), `rgba(${rgb}, ${bg.alpha})`));
+        ctx.fillStyle = grad;
+      } else {
+        ctx.fillStyle = `rgba(${bg.stops[0]}, ${bg.alpha})`;
+      }
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    _clearPulses() {
+      for (let i = 0; i < this.pulsesLen; i++) this.pulsePool.release(this.pulses[i]);
+      this.pulsesLen = 0;
+      for (const name of ['static', 'bg']) this._clearLayerPulses(this._layerPulses[name]);
+    }
+
+    // Pulses index into `links`; after a rebuild any pulse on a vanished link is released
+    _dropStalePulses() {
+      let j = 0;
+      for (let i = 0; i < this.pulsesLen; i++) {
+        const p = this.pulses[i];
+        if (p.linkIndex >= 0 && p.linkIndex < this.links.length) this.pulses[j++] = p;
+        else this.pulsePool.release(p);
+      }
+      this.pulsesLen = j;
+    }
+
+    // Current layout seed; pass it back as `seed` (or to setSeed) to reproduce this scene
+    getSeed() {
+      return this._seed;
+    }
+
+    // Re-seed and rebuild the whole scene (nodes, links, pulse sequence)
+    setSeed(seed) {
+      this._reseed(seed);
+      this._setupNodes();
+      this._buildLinks();
+      this._buildBgLinks();
+      this._drawBackground();
+      this._drawStaticLayer();
+    }
+
+    // New seed and pulse sequences; the caller re-places nodes and rebuilds links
+    _reseed(seed) {
+      this._seed = hashSeed(seed);
+      this._pulseRng = createRng(deriveSeed(this._seed, 'pulses'));
+      this._curlWaves = null;
+      this._clearPulses();
+      this._initLayerPulses();
+    }
+
+    // ---------------- Graph import/export ----------------
+    /**
+     * Snapshot of the scene as JSON-ready data: nodes at their orbit origins in viewport
+     * fractions (0..1) with depth, seedPhase and band; foreground links split into dynamic and
+     * static index pairs, plus the bg nodes and links; and the config and seed that built it.
+     * @returns {object}  Input for importGraph()
+     */
+    exportGraph() {
+      const w = this.width || 1, h = this.height || 1;
+      const pair = L => [L.ai, L.bi];
+      const config = JSON.parse(JSON.stringify(this._baseConfig));  // drops callbacks (e.g. a LAYOUT function)
+      delete config.SEED;
+      return {
+        version: GRAPH_VERSION,
+        seed: this._seed,
+        width: this.width,
+        height: this.height,
+        directed: !!this._layoutDirected,
+        nodes: this.nodes.map((n, i) => ({ x: n.ox / w, y: n.oy / h, z: n.z, seedPhase: n.seedPhase, band: this.nodeBands[i] })),
+        bgNodes: this.bgNodes.map(b => ({ x: b.x / w, y: b.y / h, z: b.z })),
+        links: {
+          dynamic: this.dynamicLinks.map(idx => pair(this.links[idx])),
+          static: this.staticLinks.map(idx => pair(this.links[idx])),
+          bg: this.bgLinks.map(pair)
+        },
+        config
+      };
+    }
+
+    /**
+     * Rebuild the scene from exportGraph() output (the object or its JSON text), scaled to the
+     * current viewport. The graph stays pinned through resizes, quality changes and configure()
+     * until importGraph(null) goes back to generated layouts. Throws on a malformed graph.
+     * @param {object|string|null} graph
+     * @param {object} [opts]
+     * @param {boolean} [opts.config]  Also apply the graph's config (default true)
+     * @returns {NeuralNetworkEngine}
+     */
+    importGraph(graph, opts = {}) {
+      const next = (graph === null) ? null : readGraph(graph);
+      this._graph = next;
+      if (next && next.config && opts.config !== false) this.configure(next.config);
+      this.setSeed(next && next.seed !== null ? next.seed : this._seed);
+      return this;
+    }
+
+    // ---------------- Exclusion zones ----------------
+    /**
+     * Keep part of the scene clear, e.g. behind a heading or CTA. Nodes are placed outside the
+     * padded zone and links steer around it; whatever still crosses it fades out toward the zone
+     * over the falloff, and pulses dim inside it. Element zones follow layout changes (resizes,
+     * scrolling out of view) by fading only, without re-placing nodes.
+     * @param {HTMLElement|{x: number, y: number, width: number, height: number}} target  Element, or rect in container px
+     * @param {object} [opts]
+     * @param {number} [opts.padding]  px kept clear around the zone (default EXCLUSION_PADDING)
+     * @param {number} [opts.falloff]  px over which the scene fades back in (default EXCLUSION_FALLOFF)
+     * @returns {() => void}  Removes the zone again
+     */
+    addExclusion(target, opts = {}) {
+      if (!this._exclusions) this._exclusions = new ExclusionZones(this.container, () => this._updateExclusions(false));
+      this._exclusions.add(target, opts);
+      this._updateExclusions(true);
+      return () => this.removeExclusion(target);
+    }
+
+    /** Drop a zone added with addExclusion(); returns whether it was registered. */
+    removeExclusion(target) {
+      if (!this._exclusions || !this._exclusions.remove(target)) return false;
+      this._updateExclusions(true);
+      return true;
+    }
+
+    clearExclusions() {
+      if (!this._exclusions) return;
+      this._exclusions.clear();
+      this._updateExclusions(true);
+    }
+
+    // Re-read the zones; `replace` also re-places nodes and links around them (same seed)
+    _updateExclusions(replace) {
+      const cfg = this.config;
+      this._exclusions.measure();
+      this._setExclusionRects(this._exclusions.rects(cfg.EXCLUSION_PADDING, cfg.EXCLUSION_FALLOFF), replace);
+    }
+
+    _setExclusionRects(rects, replace) {
+      this._zoneRects = rects;
+      if (replace) {
+        this._clearPulses();
+        this._setupNodes();
+        this._buildLinks();
+        this._buildBgLinks();
+      }
+      this._drawBackground();
+      this._drawStaticLayer();
+    }
+
+    // Brightness factor at a point: 1 clear of every zone, `floor` inside one
+    _zoneAlpha(x, y, floor) {
+      if (!this._zoneRects.length) return 1;
+      return floor + (1 - floor) * zoneFade(this._zoneRects, x, y);
+    }
+
+    // Lowest zone fade along a segment (1 when it stays clear of every zone's falloff)
+    _zoneSegmentFade(ax, ay, bx, by) {
+      if (!this._touchesZone(ax, ay, bx, by)) return 1;
+      let fade = 1;
+      for (let k = 0; k <= ZONE_LINK_STEPS; k++) {
+        const t = k / ZONE_LINK_STEPS;
+        fade = Math.min(fade, zoneFade(this._zoneRects, lerp(ax, bx, t), lerp(ay, by, t)));
+      }
+      return fade;
+    }
+
+    // Whether a segment's bounding box reaches into any zone's falloff
+    _touchesZone(ax, ay, bx, by) {
+      const x0 = Math.min(ax, bx), x1 = Math.max(ax, bx);
+      const y0 = Math.min(ay, by), y1 = Math.max(ay, by);
+      for (const r of this._zoneRects) {
+        if (x1 >= r.x0 - r.falloff && x0 <= r.x1 + r.falloff && y1 >= r.y0 - r.falloff && y0 <= r.y1 + r.falloff) return true;
+      }
+      return false;
+    }
+
+    // A link reaching into a zone, drawn in short pieces that each fade with the zone
+    _strokeZonedLink(ctx, batched, rgb, ax, ay, bx, by, alphaA, alphaB, width) {
+      const floor = this.config.EXCLUSION_LINK_ALPHA;
+      ctx.lineCap = 'butt';
+      for (let k = 0; k < ZONE_LINK_STEPS; k++) {
+        const t0 = k / ZONE_LINK_STEPS, t1 = (k + 1) / ZONE_LINK_STEPS, tm = (t0 + t1) / 2;
+        const x0 = lerp(ax, bx, t0), y0 = lerp(ay, by, t0), x1 = lerp(ax, bx, t1), y1 = lerp(ay, by, t1);
+        const alpha = lerp(alphaA, alphaB, tm) * this._zoneAlpha(lerp(ax, bx, tm), lerp(ay, by, tm), floor);
+        if (batched) {
+          this._batchSegment(x0, y0, x1, y1, alpha, width);
+          continue;
+        }
+        ctx.strokeStyle = `rgba(${rgb}, ${alpha})`;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+        ctx.stroke();
+      }
+      ctx.lineCap = 'round';
+    }
+
+    _mkLayer(zIndex, detached = false) {
+      const c = createCanvas();
+      if (c.style) {
+        c.style.zIndex = String(zIndex);
+        // Stack layers inside any positioned container, not just the page's #canvas-container
+        c.style.position = 'absolute';
+        c.style.left = '0';
+        c.style.top = '0';
+        c.style.pointerEvents = 'none';
+      }
+      const ctx = c.getContext('2d', { alpha: true });
+      if (this._cssCompositing && !detached) this.container.appendChild(c);
+      return { c, ctx };
+    }
+
+    // Edge fade settings for a layer ('DYNAMIC' | 'STATIC' | 'BG'), or null when disabled
+    _edgeFade(name) {
+      const cfg = this.config;
+      if (!cfg[`EDGE_FADE_${name}`]) return null;
+      return { inner: cfg[`EDGE_FADE_${name}_INNER`], outer: cfg[`EDGE_FADE_${name}_OUTER`] };
+    }
+
+    // CSS masks for DOM-mounted layers; canvas-composited layers are faded in _fadeLayer instead
+    _applyEdgeFades() {
+      if (!this._cssCompositing) return;
+      const layers = [[this.dynamic, 'DYNAMIC'], [this.static, 'STATIC'], [this.bg, 'BG']];
+      for (const [layer, name] of layers) {
+        const fade = this._edgeFade(name);
+        const c = layer.c;
+        c.style.maskImage = fade ? `radial-gradient(circle at center, black ${fade.inner * 100}%, transparent ${fade.outer * 100}%)` : '';
+        c.style.maskRepeat = fade ? 'no-repeat' : '';
+        c.style.maskPosition = fade ? 'center' : '';
+        c.style.maskSize = fade ? 'cover' : '';
+        c.style.webkitMaskImage = c.style.maskImage;
+        c.style.webkitMaskRepeat = c.style.maskRepeat;
+        c.style.webkitMaskPosition = c.style.maskPosition;
+        c.style.webkitMaskSize = c.style.maskSize;
+      }
+    }
+
+    // In-canvas equivalent of the CSS radial mask: keeps pixels under a radial alpha ramp.
+    // CSS `circle` gradients default to farthest-corner, so 100% is the half-diagonal.
+    _fadeLayer(ctx, fade) {
+      if (!fade) return;
+      const cx = this.width / 2, cy = this.height / 2;
+      const span = Math.max(1, fade.outer);
+      const grad = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.hypot(cx, cy) * span);
+      grad.addColorStop(clamp(fade.inner / span, 0, 1), 'rgba(0, 0, 0, 1)');
+      grad.addColorStop(clamp(fade.outer / span, 0, 1), 'rgba(0, 0, 0, 0)');
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.fillStyle = grad;
+      ctx.fillRect(0, 0, this.width, this.height);
+      ctx.restore();
+    }
+
+    // Blit the layers into a single output canvas with their parallax offsets. Layers shown
+    // through CSS are unfaded in their pixels, so they pass through a scratch canvas first.
+    _composite(ctx) {
+      const dpr = this.dpr;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      this._paintBackground(ctx, ctx.canvas.width, ctx.canvas.height);
+      const layers = [
+        [this.bg, 'BG', this._globalOffsetX + this._bgOffsetX, this._globalOffsetY + this._bgOffsetY],
+        [this.static, 'STATIC', this._globalOffsetX, this._globalOffsetY],
+        [this.dynamic, 'DYNAMIC', 0, 0]
+      ];
+      // Overlay pulses are faded individually (see _layerPulseMarks), never by a mask
+      if (this.overlay !== this.dynamic) layers.splice(2, 0, [this.overlay, null, 0, 0]);
+      for (const [layer, name, ox, oy] of layers) {
+        const fade = (this._cssCompositing && name) ? this._edgeFade(name) : null;
+        ctx.drawImage(fade ? this._fadedCopy(layer.c, fade) : layer.c, ox * dpr, oy * dpr);
+      }
+    }
+
+    _fadedCopy(src, fade) {
+      const scratch = this._scratch || (this._scratch = this._mkLayer(-1, true));
+      if (scratch.c.width !== src.width || scratch.c.height !== src.height) {
+        scratch.c.width = src.width;
+        scratch.c.height = src.height;
+      }
+      const ctx = scratch.ctx;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, src.width, src.height);
+      ctx.drawImage(src, 0, 0);
+      ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+      this._fadeLayer(ctx, fade);
+      return scratch.c;
+    }
+
+    /**
+     * Rebuild the full composited frame (bg + static with their parallax offsets, dynamic
+     * layer, radial edge fades) for `timeMs` into the loop. Node motion and drift are exact
+     * for that time, and so are pulses and arrival flashes in PULSE_MODE 'loop'; in 'free' mode pulses are drawn
+     * in whatever state the simulation currently holds.
+     * @param {number} timeMs  Time since loop start (wraps at LOOP_DURATION_MS)
+     * @param {HTMLCanvasElement} [out]  Canvas to draw into (resized to the layer size); a cached one by default
+     * @returns {HTMLCanvasElement}
+     */
+    renderAt(timeMs, out) {
+      if (this.config.PULSE_MODE === 'loop') {
+        for (const n of this.nodes) n.flash = 0;  // re-derived from loop time below
+        this._syncScheduledPulses(timeMs);
+        this._updateLayerPulses(0, this._loopStart + timeMs);
+      }
+      this._updateMotion(timeMs);
+      this._render();
+      const canvas = out || this._frameCanvas || (this._frameCanvas = this._mkLayer(-1, true).c);
+      if (canvas.width !== this.dynamic.c.width || canvas.height !== this.dynamic.c.height) {
+        canvas.width = this.dynamic.c.width;
+        canvas.height = this.dynamic.c.height;
+      }
+      this._composite(canvas.getContext('2d'));
+      return canvas;
+    }
+
+    /**
+     * Capture exactly one loop (LOOP_DURATION_MS) as a video or PNG sequence.
+     * Layout is kept; the layers are re-rendered at a DPR that covers the requested size,
+     * then center-cropped when the aspect ratio differs from the viewport.
+     * WebM capture runs in real time because MediaRecorder timestamps frames by wall clock.
+     * The live loop stays paused meanwhile: start()/resume() calls are held until the capture
+     * ends, and a second recordLoop() call rejects.
+     * @param {object} [opts]
+     * @param {number} [opts.width]  Output width in px (default: viewport x DPR)
+     * @param {number} [opts.height]  Output height in px
+     * @param {number} [opts.fps=30]
+     * @param {'webm'|'png'} [opts.format='webm']  'png' yields a zip of frame-00000.png...
+     * @param {string} [opts.mimeType]  MediaRecorder mime type override
+     * @param {number} [opts.videoBitsPerSecond]
+     * @param {(progress: number) => void} [opts.onProgress]  Called with 0..1 after each frame
+     * @returns {Promise<Blob>}
+     */
+    async recordLoop(opts = {}) {
+      const cfg = this.config;
+      const fps = opts.fps || 30;
+      const format = opts.format || 'webm';
+      const width = Math.round(opts.width || this.width * this.dpr);
+      const height = Math.round(opts.height || this.height * this.dpr);
+      const frameCount = Math.max(1, Math.round(cfg.LOOP_DURATION_MS / 1000 * fps));
+      const frameMs = cfg.LOOP_DURATION_MS / frameCount;
+
+      if (this._recording) throw new Error('recordLoop() is already recording this engine');
+      const wasRunning = this._running;
+      this.stop();
+      // start()/stop() while recording only decide whether the loop resumes afterwards
+      this._recording = { resume: wasRunning };
+      const saved = { dpr: this.dpr, loopStart: this._loopStart, lastSpawn: this._lastPulseSpawn };
+
+      // Render layers at a DPR large enough to cover the output, without touching the layout
+      this.dpr = Math.max(width / this.width, height / this.height);
+      this._sizeLayers();
+      this._drawBackground();
+      this._drawStaticLayer();
+
+      const out = this._mkLayer(-1, true);
+      out.c.width = width;
+      out.c.height = height;
+
+      // Virtual clock: the loop starts at 0; warm pulses up over one loop so frame 0 isn't empty
+      this._loopStart = 0;
+      this._lastPulseSpawn = -cfg.LOOP_DURATION_MS;
+      let simTime = -cfg.LOOP_DURATION_MS;
+      const stepTo = (t) => {
+        while (simTime + this._dt_ms <= t) {
+          simTime += this._dt_ms;
+          this._update(this._dt_ms, simTime);
+        }
+      };
+
+      const drawFrame = (k) => {
+        const t = k * frameMs;
+        stepTo(t);
+        const frame = this.renderAt(t);
+        const sx = (frame.width - width) / 2, sy = (frame.height - height) / 2;
+        out.ctx.clearRect(0, 0, width, height);
+        out.ctx.drawImage(frame, sx, sy, width, height, 0, 0, width, height);
+        if (opts.onProgress) opts.onProgress((k + 1) / frameCount);
+      };
+
+      try {
+        if (format === 'png') {
+          const files = [];
+          for (let k = 0; k < frameCount; k++) {
+            drawFrame(k);
+            const blob = await canvasToBlob(out.c, 'image/png');
+            files.push({ name: `frame-${String(k).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+          }
+          return zipFiles(files);
+        }
+        return await recordCanvasVideo(out.c, fps, frameCount, frameMs, drawFrame, opts);
+      } finally {
+        this.dpr = saved.dpr;
+        this._loopStart = saved.loopStart;
+        this._lastPulseSpawn = saved.lastSpawn;
+        this._sizeLayers();
+        this._drawBackground();
+        this._drawStaticLayer();
+        const { resume } = this._recording;
+        this._recording = null;
+        if (resume) this.start();
+      }
+    }
+
+    _applyResponsiveScaling(width, height) {
+      const cfg = this.config;
+      const baseline = this._baseline;
+      const area = Math.max(1, width * height);
+      const kA = area / baseline.AREA;
+      const kL = Math.sqrt(kA);
+      this.nodeMax = clamp(Math.round(baseline.NODE_COUNT * kA), 16, cfg.NODE_COUNT);
+      this.bgNodeMax = clamp(Math.round(baseline.BG_NODE_COUNT * kA), 12, cfg.BG_NODE_COUNT);
+      this.linkDistanceMax = Math.max(80, Math.round(baseline.MAX_LINK_DISTANCE * kL));
+      this.pulseMaxActive = clamp(Math.round(baseline.PULSE_MAX_ACTIVE * kL), 1, cfg.PULSE_MAX_ACTIVE);
+      this.bgLinkDistanceMax = Math.max(60, Math.round(baseline.BG_LINK_MAX_DISTANCE * kL));
+    }
+
+    _measure() {
+      if (this._surface) return { w: this._surface.width, h: this._surface.height };
+      return { w: this.container.clientWidth, h: this.container.clientHeight };
+    }
+
+    _deviceDpr() {
+      if (this._surface) return this._surface.dpr || 1;
+      return window.devicePixelRatio || 1;
+    }
+
+    /**
+     * Resize a surface-backed engine (e.g. from a worker's resize message). Engines mounted
+     * in the DOM follow their container on window resize instead.
+     */
+    setSize(width, height, dpr) {
+      if (!this._surface) return;
+      this._surface.width = width;
+      this._surface.height = height;
+      if (dpr) this._surface.dpr = dpr;
+      this.dpr = clamp(this._deviceDpr(), 1, this.config.DPR_MAX);
+      this._resize(false);
+    }
+
+    // Window resize fires in bursts; rebuild at most once per frame
+    _requestResize() {
+      if (this._resizePending) return;
+      this._resizePending = true;
+      nextFrame(() => {
+        this._resizePending = false;
+        if (!this._destroyed) this._resize(false);
+      });
+    }
+
+    _resize(first) {
+      const { w, h } = this._measure();
+      const prevW = this._resizePrevW;
+      const prevH = this._resizePrevH;
+      this._resizePrevW = w;
+      this._resizePrevH = h;
+
+      this._applyResponsiveScaling(w, h);
+
+      this.width = w;
+      this.height = h;
+      this._sizeLayers();
+      if (this._exclusions) {
+        this._exclusions.measure();
+        this._zoneRects = this._exclusions.rects(this.config.EXCLUSION_PADDING, this.config.EXCLUSION_FALLOFF);
+      }
+
+      // Proportional reflow of node positions & origins on resize
+      const targets = this._getTargetCounts();
       const needRebuild =
         first ||
         !this.nodes.length ||
+        !!this._shapeRoles ||  // a shape is re-fitted, not stretched
         this.nodes.length !== targets.nodeCount ||
         this.bgNodes.length !== targets.bgCount;
 
@@ -393,7 +2340,7 @@
         this._buildLinks();       // distances changed, rebuild edges
         this._buildBgLinks();
       } else if (!first) {
-        this._setupNodesEven();
+        this._setupNodes();
         this._buildLinks();
         this._buildBgLinks();
       }
@@ -401,172 +2348,473 @@
       // Always redraw the static/background layers on resize
       this._drawBackground();
       this._drawStaticLayer();
+      if (!first) this._events.emit('resize', { width: w, height: h });
+    }
+
+    // Match every canvas backing store to the current CSS size x DPR
+    _sizeLayers() {
+      const w = this.width, h = this.height;
+      const layers = [this.bg, this.static, this.dynamic];
+      if (this.overlay !== this.dynamic) layers.push(this.overlay);
+      if (this._views) layers.push(this._views.bg, this._views.static);
+      for (const layer of layers) {
+        layer.c.width = Math.floor(w * this.dpr);
+        layer.c.height = Math.floor(h * this.dpr);
+        if (layer.c.style) {
+          layer.c.style.width = w + 'px';
+          layer.c.style.height = h + 'px';
+        }
+        layer.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+      }
+      this._viewsKey = '';
+      // The output canvas is also what _measure() reads, so its CSS size is pinned as well;
+      // otherwise an unstyled canvas would grow with its backing store on every resize
+      if (this.output) {
+        this.output.c.width = Math.floor(w * this.dpr);
+        this.output.c.height = Math.floor(h * this.dpr);
+        this.output.c.style.width = w + 'px';
+        this.output.c.style.height = h + 'px';
+      }
     }
 
+    // Glow sprites: one node sprite per layer, and one pulse sprite per step of the pulse ramp.
+    // Canvases are reused, since a theme crossfade rebuilds them every frame.
     _buildSprites() {
-      const r = CONFIG.NODE_RADIUS_BASE;
-      // Primary node glow sprite (radial gradient circle)
-      const s = document.createElement('canvas');
-      s.width = s.height = r * 2;
+      const cfg = this.config;
+      const colors = this.colors;
+      this.nodeSprites = this.nodeSprites || {};
+      for (const layer of LAYER_NAMES) {
+        this.nodeSprites[layer] = this._glowSprite(this.nodeSprites[layer], cfg.NODE_RADIUS_BASE,
+          colors.node[layer], [[0, 1], [0.2, 1], [1, 0]]);
+      }
+      const steps = colors.pulse.length > 1 ? PULSE_RAMP_STEPS : 1;
+      this.pulseColors = Array.from({ length: steps }, (_, k) => rampColor(colors.pulse, steps > 1 ? k / (steps - 1) : 0));
+      this.pulseSprites = this.pulseSprites || [];
+      this.pulseSprites.length = steps;
+      for (let k = 0; k < steps; k++) {
+        this.pulseSprites[k] = this._glowSprite(this.pulseSprites[k], cfg.PULSE_RADIUS,
+          this.pulseColors[k], [[0, 1], [0.5, 0.5], [1, 0]]);
+      }
+    }
+
+    // Radial glow of radius r (gradient stops are [offset, alpha]), drawn into `canvas` if given
+    _glowSprite(canvas, r, rgb, stops) {
+      const s = canvas || createCanvas();
+      s.width = s.height = r * 2;  // also clears a reused canvas
       const g = s.getContext('2d');
       const grad = g.createRadialGradient(r, r, 0, r, r, r);
-      grad.addColorStop(0.0, `rgba(${this.NODE_RGB}, 1)`);
-      grad.addColorStop(0.2, `rgba(${this.NODE_RGB}, 1)`);
-      grad.addColorStop(1.0, `rgba(${this.NODE_RGB}, 0)`);
+      for (const [offset, alpha] of stops) grad.addColorStop(offset, `rgba(${rgb}, ${alpha})`);
       g.fillStyle = grad;
       g.fillRect(0, 0, s.width, s.height);
-      this.nodeSprite = s;
+      return s;
+    }
 
-      // Pulse sprite (small radial gradient circle)
-      const pr = CONFIG.PULSE_RADIUS;
-      const ps = document.createElement('canvas');
-      ps.width = ps.height = pr * 2;
-      const pg = ps.getContext('2d');
-      const pgrad = pg.createRadialGradient(pr, pr, 0, pr, pr, pr);
-      pgrad.addColorStop(0.0, `rgba(${this.PULSE_RGB}, 1)`);
-      pgrad.addColorStop(0.5, `rgba(${this.PULSE_RGB}, 0.5)`);
-      pgrad.addColorStop(1.0, `rgba(${this.PULSE_RGB}, 0)`);
-      pg.fillStyle = pgrad;
-      pg.fillRect(0, 0, ps.width, ps.height);
-      this.pulseSprite = ps;
+    // Ramp step for a pulse `progress` (0..1) along its link
+    _pulseStep(progress) {
+      return this.pulseSprites.length > 1 ? Math.round(clamp(progress, 0, 1) * (this.pulseSprites.length - 1)) : 0;
     }
 
-    _bandForZ(z) {
-      for (const b of CONFIG.PARALLAX_BANDS) {
-        if (z >= b.zMin && z < b.zMax) return b;
+    _bandIndexForZ(z) {
+      const bands = this.config.PARALLAX_BANDS;
+      for (let k = 0; k < bands.length; k++) {
+        if (z >= bands[k].zMin && z < bands[k].zMax) return k;
       }
-      return CONFIG.PARALLAX_BANDS[CONFIG.PARALLAX_BANDS.length - 1];
+      return bands.length - 1;
     }
 
     _getTargetCounts() {
-      const scale = (Math.min(this.width, this.height) < 900) ? CONFIG.MOBILE_SCALE : 1.0;
-      const nodeCount = Math.max(16, Math.round(this.nodeMax * scale));
-      const bgCount = Math.max(12, Math.round(this.bgNodeMax * scale));
+      const cfg = this.config;
+      const scale = (Math.min(this.width, this.height) < 900) ? cfg.MOBILE_SCALE : 1.0;
+      let nodeCount = Math.max(16, Math.round(this.nodeMax * scale));
+      // Layouts that fix their own node count keep it across resizes and quality changes
+      if (cfg.LAYOUT === 'layers') nodeCount = cfg.LAYOUT_LAYERS.reduce((sum, n) => sum + Math.max(1, Math.round(n)), 0);
+      else if (typeof cfg.LAYOUT === 'function' && this.nodes.length) nodeCount = this.nodes.length;
+      let bgCount = Math.max(12, Math.round(this.bgNodeMax * scale));
+      if (this._graph) {
+        nodeCount = this._graph.nodes.length;
+        if (this._graph.bgNodes) bgCount = this._graph.bgNodes.length;
+      }
       return {
         nodeCount,
         bgCount
       };
     }
 
-    _setupNodesEven() {
-      const { nodeCount, bgCount } = this._getTargetCounts();
+    // Foreground nodes come from the LAYOUT strategy, which may fix the links as well;
+    // background nodes are always scattered
+    _setupNodes() {
+      this._shapeRoles = null;
+      if (this._graph) {
+        this._placeGraph();
+        return;
+      }
+      const rng = createRng(deriveSeed(this._seed, 'nodes'));
+      const layout = (this.config.LAYOUT === 'scatter') ? null : this._runLayout(rng);
+      this._layoutEdges = layout ? layout.links : null;
+      this._layoutDirected = !!(layout && layout.directed);
+      if (layout) {
+        this.nodes.length = 0;
+        layout.nodes.forEach((pt, i) => {
+          this.nodes.push(this._makeNode(i, pt.x, pt.y, pt.z ?? rng(), this._randomPhase(rng)));
+        });
+      } else {
+        this._scatterNodes(rng);
+      }
+      this._assignBands();
+      this._scatterBgNodes(rng);
+    }
+
+    // An imported graph keeps its nodes and links; only the viewport scale changes
+    _placeGraph() {
+      const graph = this._graph;
+      this._layoutEdges = graph.links;
+      this._layoutDirected = graph.directed;
+      this.nodes.length = 0;
+      graph.nodes.forEach((n, i) => {
+        this.nodes.push(this._makeNode(i, n.x * this.width, n.y * this.height, n.z, n.seedPhase));
+      });
+      this._assignBands();
+      if (graph.bgNodes) {
+        this.bgNodes = graph.bgNodes.map(b => ({ x: b.x * this.width, y: b.y * this.height, z: b.z }));
+      } else {
+        this._scatterBgNodes(createRng(deriveSeed(this._seed, 'nodes')));
+      }
+    }
+
+    // Built-in or custom layout, normalized: nodes in px, links as deduplicated index pairs
+    // (null = use proximity links)
+    _runLayout(rng) {
+      const cfg = this.config;
+      const custom = typeof cfg.LAYOUT === 'function';
+      const build = custom ? cfg.LAYOUT : LAYOUTS[cfg.LAYOUT];
+      if (!build) {
+        warnOnce(`unknown LAYOUT "${cfg.LAYOUT}"; using 'scatter'`);
+        return null;
+      }
+      const margin = { x: this.width * cfg.LAYOUT_MARGIN, y: this.height * cfg.LAYOUT_MARGIN };
+      const count = this._getTargetCounts().nodeCount;
+      const result = build({ width: this.width, height: this.height, count, margin, config: cfg, rng });
+      const nodes = Array.isArray(result) ? result : (result && result.nodes);
+      if (!Array.isArray(nodes) || !nodes.length || !nodes.every(pt => Number.isFinite(pt.x) && Number.isFinite(pt.y))) {
+        throw new Error("LAYOUT must return { nodes: [{ x, y }], links? } with at least one node");
+      }
+      let links = null;
+      if (result.links) {
+        const seen = new Set();
+        links = [];
+        for (const [a, b] of result.links) {
+          if (!(Number.isInteger(a) && Number.isInteger(b)) || a === b || a < 0 || b < 0 || a >= nodes.length || b >= nodes.length) continue;
+          const key = a < b ? a * nodes.length + b : b * nodes.length + a;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          links.push([a, b]);
+        }
+      }
+      return { nodes, links, directed: !!result.directed };
+    }
+
+    // Random start phase for motion (no draw when phases are not randomized)
+    _randomPhase(rng) {
+      const cfg = this.config;
+      return cfg.RANDOMIZE_NODE_PHASES ? (rng() * (cfg.STARTING_PHASE_RANDOMIZER || 0) * Math.PI * 2) : 0;
+    }
+
+    _makeNode(id, x, y, z, seedPhase) {
+      return {
+        id,
+        x,
+        y,
+        z,
+        ox: x,
+        oy: y,
+        seedPhase,
+        ix: 0,    // pointer displacement on top of the orbit
+        iy: 0,
+        hl: 0,    // hover highlight 0..1
+        flash: 0  // pulse-arrival flash 0..1
+      };
+    }
+
+    _scatterNodes(rng) {
+      const { nodeCount } = this._getTargetCounts();
+      const mask = this.config.SHAPE ? this._getShapeMask() : null;
+      if (mask) {
+        this._placeOnShape(mask, nodeCount, rng);
+        return;
+      }
 
       // Foreground nodes (near + mid) using Poisson-disc for even spread
       const area = this.width * this.height;
       const spacing = Math.sqrt(area / nodeCount);
       const r = Math.max(18, spacing * 0.55);
-      const pts = poisson(this.width, this.height, r);
+      const clear = this._clearOfZones();
+      const pts = poisson(this.width, this.height, r, rng, 30, clear);
       this.nodes.length = nodeCount;
-      this.movingFlags.length = nodeCount;
 
       for (let i = 0; i < nodeCount; i++) {
-        const basePt = pts[i % pts.length] || { x: Math.random() * this.width, y: Math.random() * this.height };
-        const jitterR = spacing * 0.2 * Math.random();
-        const jitterA = Math.random() * Math.PI * 2;
-        const px = clamp(basePt.x + Math.cos(jitterA) * jitterR, 0, this.width);
-        const py = clamp(basePt.y + Math.sin(jitterA) * jitterR, 0, this.height);
-        const z = Math.random();  // depth [0,1)
-        const band = this._bandForZ(z);
-        this.nodes[i] = {
-          id: i,
-          x: px,
-          y: py,
-          z,
-          ox: px,
-          oy: py,
-          seedPhase: CONFIG.RANDOMIZE_NODE_PHASES ? (Math.random() * (CONFIG.STARTING_PHASE_RANDOMIZER || 0) * Math.PI * 2) : 0,   // random start phase for motion
-        };
-        this.movingFlags[i] = band.move ? 1 : 0;
+        const basePt = pts[i % pts.length] || { x: rng() * this.width, y: rng() * this.height };
+        const jitterR = spacing * 0.2 * rng();
+        const jitterA = rng() * Math.PI * 2;
+        let px = clamp(basePt.x + Math.cos(jitterA) * jitterR, 0, this.width);
+        let py = clamp(basePt.y + Math.sin(jitterA) * jitterR, 0, this.height);
+        if (clear && !clear(px, py)) ({ x: px, y: py } = basePt);  // jitter must not land in a zone
+        const z = rng();  // depth [0,1)
+        this.nodes[i] = this._makeNode(i, px, py, z, this._randomPhase(rng));
       }
+    }
 
-      // Background decorative nodes (far static, larger minimum spacing)
+    // Placement filter keeping points out of the padded exclusion zones (null when there are none)
+    _clearOfZones() {
+      const rects = this._zoneRects;
+      if (!rects.length) return null;
+      return (x, y) => rects.every(r => x < r.x0 || x > r.x1 || y < r.y0 || y > r.y1);
+    }
+
+    // Mask of SHAPE at the current size (null when it can't be drawn), kept until either changes
+    _getShapeMask() {
+      const cached = this._shapeMask;
+      if (cached && cached.width === this.width && cached.height === this.height) return cached.mask;
+      const mask = shapeMask(this.config.SHAPE, this.width, this.height, clamp(this.config.SHAPE_FIT, 0.05, 1));
+      if (!mask) warnOnce('SHAPE could not be drawn (image not loaded or cross-origin, no Path2D, or empty text); using a plain scatter');
+      this._shapeMask = { width: this.width, height: this.height, mask };
+      return mask;
+    }
+
+    // SHAPE_MIX of the nodes sample the shape (SHAPE_EDGE of those on its outline, the rest
+    // inside) and the others scatter around it. _shapeRoles keeps which is which for linking.
+    _placeOnShape(mask, count, rng) {
+      const cfg = this.config;
+      const w = this.width, h = this.height;
+      const inShape = Math.round(count * clamp(cfg.SHAPE_MIX, 0, 1));
+      const onEdge = Math.round(inShape * clamp(cfg.SHAPE_EDGE, 0, 1));
+      const spacing = (area, n) => Math.sqrt(area / Math.max(1, n));
+      const groups = [
+        // Outline samples sit in a thin band, so their spacing follows its length, not its area
+        { role: SHAPE_ROLE_EDGE, count: onEdge,
+          spacing: Math.min(spacing(mask.edgeArea, onEdge), mask.edgeArea / mask.edgeWidth / Math.max(1, onEdge)),
+          accept: (x, y) => { const d = mask.depth(x, y); return d > 0 && d <= mask.edgeWidth; } },
+        { role: SHAPE_ROLE_FILL, count: inShape - onEdge, spacing: spacing(mask.area - mask.edgeArea, inShape - onEdge),
+          accept: (x, y) => mask.depth(x, y) > mask.edgeWidth },
+        { role: SHAPE_ROLE_OUTSIDE, count: count - inShape, spacing: spacing(w * h - mask.area, count - inShape),
+          accept: (x, y) => !mask.depth(x, y) }
+      ];
+      this.nodes.length = 0;
+      this._shapeRoles = new Uint8Array(count);
+      const clear = this._clearOfZones();
+      for (const group of groups) {
+        if (!group.count) continue;
+        // Sample a little denser than needed, then keep a seeded subset
+        const r = Math.max(4, group.spacing * 0.6);
+        const accept = clear ? (x, y) => clear(x, y) && group.accept(x, y) : group.accept;
+        const pts = shuffleArray(poisson(w, h, r, rng, 30, accept), rng);
+        for (let k = 0; k < group.count; k++) {
+          const pt = pts[k % pts.length] || { x: rng() * w, y: rng() * h };
+          // Reused samples get nudged apart
+          const jitter = k >= pts.length ? r * 0.3 * rng() : 0;
+          const a = rng() * Math.PI * 2;
+          const i = this.nodes.length;
+          this._shapeRoles[i] = group.role;
+          const x = clamp(pt.x + Math.cos(a) * jitter, 0, w), y = clamp(pt.y + Math.sin(a) * jitter, 0, h);
+          this.nodes.push(this._makeNode(i, x, y, rng(), this._randomPhase(rng)));
+        }
+      }
+    }
+
+    // Link weight factor for SHAPE placements: outline pairs whose midpoint stays on the outline
+    // are favored; links jumping a gap in the shape or tying it to the background are not
+    _shapeLinkBias() {
+      const follow = clamp(this.config.SHAPE_LINK_FOLLOW, 0, 1);
+      const roles = this._shapeRoles;
+      const mask = roles && this._getShapeMask();
+      if (!follow || !mask) return null;
+      const boost = 1 + 4 * follow;
+      const bias = (i, j, a, b) => {
+        if (!roles[i] && !roles[j]) return 1;
+        if (!roles[i] || !roles[j]) return 1 - 0.7 * follow;
+        const depth = mask.depth((a.x + b.x) / 2, (a.y + b.y) / 2);
+        if (!depth) return 1 - 0.9 * follow;
+        return (roles[i] === SHAPE_ROLE_EDGE && roles[j] === SHAPE_ROLE_EDGE && depth <= 2 * mask.edgeWidth) ? boost : 1;
+      };
+      bias.max = boost;
+      return bias;
+    }
+
+    // Background decorative nodes (far static, larger minimum spacing)
+    _scatterBgNodes(rng) {
+      const { bgCount } = this._getTargetCounts();
+      const area = this.width * this.height;
       const bgSpacing = Math.sqrt(area / bgCount);
       const rbg = Math.max(24, bgSpacing * 0.6);
-      const bgPts = poisson(this.width, this.height, rbg);
+      const clear = this._clearOfZones();
+      const bgPts = poisson(this.width, this.height, rbg, rng, 30, clear);
       this.bgNodes.length = bgCount;
       for (let i = 0; i < bgCount; i++) {
-        const base = bgPts[i % bgPts.length] || { x: Math.random() * this.width, y: Math.random() * this.height };
-        const jitterR = bgSpacing * 0.25 * Math.random();
-        const jitterA = Math.random() * Math.PI * 2;
-        const bx = clamp(base.x + Math.cos(jitterA) * jitterR, 0, this.width);
-        const by = clamp(base.y + Math.sin(jitterA) * jitterR, 0, this.height);
-        this.bgNodes[i] = { x: bx, y: by, z: 0.85 + Math.random() * 0.15 };
+        const base = bgPts[i % bgPts.length] || { x: rng() * this.width, y: rng() * this.height };
+        const jitterR = bgSpacing * 0.25 * rng();
+        const jitterA = rng() * Math.PI * 2;
+        let bx = clamp(base.x + Math.cos(jitterA) * jitterR, 0, this.width);
+        let by = clamp(base.y + Math.sin(jitterA) * jitterR, 0, this.height);
+        if (clear && !clear(bx, by)) ({ x: bx, y: by } = base);
+        this.bgNodes[i] = { x: bx, y: by, z: 0.85 + rng() * 0.15 };
       }
     }
 
+    // Band membership (and the moving/static split) follows each node's depth; a band listing
+    // several motion paths hands each node one of them from a seeded stream
+    _assignBands() {
+      const bands = this.config.PARALLAX_BANDS;
+      const rng = createRng(deriveSeed(this._seed, 'motion-paths'));
+      this.nodeBands = new Uint8Array(this.nodes.length);
+      this.nodePaths = new Array(this.nodes.length);
+      this.movingFlags.length = this.nodes.length;
+      const fixed = this._graph && this._graph.nodes;  // imported graphs carry each node's band
+      for (let i = 0; i < this.nodes.length; i++) {
+        const pinned = fixed && fixed[i] && fixed[i].band;
+        const index = (Number.isInteger(pinned) && pinned < bands.length) ? pinned : this._bandIndexForZ(this.nodes[i].z);
+        const band = bands[this.nodeBands[i] = index];
+        this.movingFlags[i] = band.move ? 1 : 0;
+        const names = Array.isArray(band.path) ? band.path : [band.path];
+        const name = names[Math.floor(rng() * names.length)] ?? 'ellipse';
+        if (!MOTION_PATHS.has(name)) warnOnce(`unknown motion path "${name}"; using 'ellipse'`);
+        this.nodePaths[i] = MOTION_PATHS.get(name) || MOTION_PATHS.get('ellipse');
+      }
+    }
+
+    // Links come from the layout when it fixes them, otherwise from proximity
     _buildLinks() {
+      const links = this._layoutEdges ? this._layoutLinks() : this._proximityLinks();
+      this.links = links;
+      // Per-node incident link indices, for cascades and bursts
+      this.adjacency = Array.from({ length: this.nodes.length }, () => []);
+      for (let idx = 0; idx < links.length; idx++) {
+        this.adjacency[links[idx].ai].push(idx);
+        this.adjacency[links[idx].bi].push(idx);
+      }
+      this.staticLinks = [];
+      this.dynamicLinks = [];
+      for (let idx = 0; idx < links.length; idx++) {
+        const L = links[idx];
+        if (this.movingFlags[L.ai] || this.movingFlags[L.bi]) {
+          this.dynamicLinks.push(idx);  // link involves at least one moving node
+        } else {
+          this.staticLinks.push(idx);
+        }
+      }
+      this._events.emit('rebuild', { nodes: this.nodes.length, links: links.length });
+    }
+
+    // Directed layout links only carry pulses from ai to bi
+    _layoutLinks() {
+      return this._layoutEdges.map(([ai, bi]) => {
+        const a = this.nodes[ai], b = this.nodes[bi];
+        const link = { ai, bi, d: Math.hypot(b.x - a.x, b.y - a.y) };
+        if (this._layoutDirected) link.directed = true;
+        return link;
+      });
+    }
+
+    // Each node (in seeded random order) links to its best-weighted neighbors within reach
+    // until its degree cap is met. Weights favor short links with a little seeded jitter.
+    // Neighbors come from a uniform grid, nearest rings first, and the search stops once no
+    // unvisited node could outweigh the candidates already in hand.
+    _proximityLinks() {
+      const cfg = this.config;
       const n = this.nodes.length;
       const degrees = new Int16Array(n);
-      const indices = shuffleArray(Array.from({ length: n }, (_, i) => i));
+      const rng = createRng(deriveSeed(this._seed, 'links'));
+      const jitterSeed = deriveSeed(this._seed, 'link-weights');
+      const indices = shuffleArray(Array.from({ length: n }, (_, i) => i), rng);
       const links = [];
-      const seen = new Set();
+      const seen = new Set();  // integer pair keys: min * n + max
       const candidates = [];
       const maxDist = this.linkDistanceMax;
+      const bandCaps = cfg.PARALLAX_BANDS.map(band => band.maxLinks ?? (band.move ? cfg.MAX_LINKS_DYNAMIC : cfg.MAX_LINKS_STATIC));
+      const capOf = (i) => bandCaps[this.nodeBands[i]];
+      // A couple of nodes per cell keeps the first rings cheap at any density
+      const cell = clamp(Math.sqrt(this.width * this.height / Math.max(1, n)) * 1.5, 8, Math.max(8, maxDist));
+      const grid = new SpatialGrid(this.nodes, cell);
+      const rings = grid.ringsFor(maxDist);
+      const byWeight = (a, b) => b.weight - a.weight;
+      const bias = this._shapeLinkBias();
+      const maxBias = bias ? bias.max : 1;
+      const zoned = this._zoneRects.length > 0;  // links crossing an exclusion zone lose weight
 
       for (const i of indices) {
-        candidates.length = 0;
+        const need = capOf(i) - degrees[i];
+        if (need <= 0) continue;
         const nodeA = this.nodes[i];
-        const capA = this.movingFlags[i] ? CONFIG.MAX_LINKS_DYNAMIC : CONFIG.MAX_LINKS_STATIC;
-        if (degrees[i] >= capA) continue;
-
-        for (let j = 0; j < n; j++) {
-          if (j === i) continue;
-          const key = i < j ? `${i}-${j}` : `${j}-${i}`;
-          if (seen.has(key)) continue;
+        candidates.length = 0;
+        const consider = (j) => {
+          if (j === i) return;
+          const key = i < j ? i * n + j : j * n + i;
+          if (seen.has(key)) return;
           const nodeB = this.nodes[j];
-          const dx = nodeA.x - nodeB.x;
-          const dy = nodeA.y - nodeB.y;
-          const dist = Math.hypot(dx, dy);
-          if (dist > maxDist || dist === 0) continue;
-          const capB = this.movingFlags[j] ? CONFIG.MAX_LINKS_DYNAMIC : CONFIG.MAX_LINKS_STATIC;
-          if (degrees[j] >= capB) continue;
-          const weight = (1 / Math.pow(dist, 1.2)) * (1 + Math.random() * 0.08);
-          candidates.push({ j, dist, weight });
+          const dist = Math.hypot(nodeA.x - nodeB.x, nodeA.y - nodeB.y);
+          if (dist > maxDist || dist === 0) return;
+          if (degrees[j] >= capOf(j)) return;
+          let weight = (1 / Math.pow(dist, 1.2)) * (1 + pairNoise(jitterSeed, key) * 0.08);
+          if (bias) weight *= bias(i, j, nodeA, nodeB);
+          if (zoned) weight *= 0.05 + 0.95 * this._zoneSegmentFade(nodeA.x, nodeA.y, nodeB.x, nodeB.y);
+          candidates.push({ j, key, dist, weight });
+        };
+        for (let r = 0; r <= rings; r++) {
+          grid.visitRing(nodeA.x, nodeA.y, r, consider);
+          if (r === 0 || candidates.length < need) continue;
+          // Anything not visited yet is at least r * cell away, so its weight is at most this
+          const bound = (1 / Math.pow(r * cell, 1.2)) * 1.08 * maxBias;
+          candidates.sort(byWeight);
+          if (candidates[need - 1].weight > bound) break;
         }
-
         if (!candidates.length) continue;
-        candidates.sort((a, b) => b.weight - a.weight);
+        candidates.sort(byWeight);
 
-        for (const entry of candidates) {
-          const j = entry.j;
-          const key = i < j ? `${i}-${j}` : `${j}-${i}`;
-          if (seen.has(key)) continue;
-          const capAcur = this.movingFlags[i] ? CONFIG.MAX_LINKS_DYNAMIC : CONFIG.MAX_LINKS_STATIC;
-          const capBcur = this.movingFlags[j] ? CONFIG.MAX_LINKS_DYNAMIC : CONFIG.MAX_LINKS_STATIC;
-          if (degrees[i] >= capAcur || degrees[j] >= capBcur) continue;
-          links.push({ ai: i, bi: j, d: entry.dist });
+        for (let k = 0; k < candidates.length && degrees[i] < capOf(i); k++) {
+          const { j, key, dist } = candidates[k];
+          links.push({ ai: i, bi: j, d: dist });
           seen.add(key);
           degrees[i]++; degrees[j]++;
+          if (degrees[j] === capOf(j)) grid.retire(j);
         }
+        if (degrees[i] >= capOf(i)) grid.retire(i);
       }
-      this.links = links;
-      this.staticLinks = [];
-      this.dynamicLinks = [];
-      for (let idx = 0; idx < links.length; idx++) {
-        const L = links[idx];
-        if (this.movingFlags[L.ai] || this.movingFlags[L.bi]) {
-          this.dynamicLinks.push(idx);  // link involves at least one moving node
-        } else {
-          this.staticLinks.push(idx);
-        }
-      }
+      return links;
     }
 
+    // Background wiring: strongest pairs first, each accepted while both ends are under the
+    // degree cap. Every pair within range is a candidate (the grid only skips pairs that are
+    // too far apart), and jitter is drawn in index order, so the wiring for a seed is the same
+    // as comparing every pair.
     _buildBgLinks() {
+      if (this._graph && this._graph.bgLinks) {
+        this.bgLinks = this._graph.bgLinks.map(([ai, bi]) => ({ ai, bi }));
+        return;
+      }
+      const cfg = this.config;
       const m = this.bgNodes.length;
-      const degreeCap = Math.max(1, Math.min(CONFIG.BG_LINK_MAX_DEGREE, CONFIG.MAX_LINKS_STATIC));
+      const degreeCap = Math.max(1, Math.min(cfg.BG_LINK_MAX_DEGREE, cfg.MAX_LINKS_STATIC));
       const deg = new Int16Array(m);
+      const rng = createRng(deriveSeed(this._seed, 'bg-links'));
       const edges = [];
       const maxDist = this.bgLinkDistanceMax;
+      const cell = clamp(Math.sqrt(this.width * this.height / Math.max(1, m)) * 1.5, 8, Math.max(8, maxDist));
+      const grid = new SpatialGrid(this.bgNodes, cell);
+      const rings = grid.ringsFor(maxDist);
+      const near = [];
       for (let i = 0; i < m; i++) {
         const a = this.bgNodes[i];
-        for (let j = i + 1; j < m; j++) {
+        near.length = 0;
+        const consider = (j) => {
+          if (j <= i) return;  // each pair once, from its lower index
           const b = this.bgNodes[j];
-          const dx = a.x - b.x;
-          const dy = a.y - b.y;
-          const dist = Math.hypot(dx, dy);
-          if (dist > maxDist || dist === 0) continue;
-          const weight = (1 / Math.pow(dist, 1.2)) * (1 + Math.random() * 0.05);
+          const dist = Math.hypot(a.x - b.x, a.y - b.y);
+          if (dist > maxDist || dist === 0) return;
+          near.push({ j, dist });
+        };
+        for (let r = 0; r <= rings; r++) grid.visitRing(a.x, a.y, r, consider);
+        near.sort((p, q) => p.j - q.j);  // jitter is drawn per pair in (i, j) order
+        for (const { j, dist } of near) {
+          let weight = (1 / Math.pow(dist, 1.2)) * (1 + rng() * 0.05);
+          if (this._zoneRects.length) weight *= 0.05 + 0.95 * this._zoneSegmentFade(a.x, a.y, this.bgNodes[j].x, this.bgNodes[j].y);
           edges.push({ ai: i, bi: j, weight });
         }
       }
@@ -580,58 +2828,163 @@
     }
 
     // ---------------- Drawing helpers ----------------
-    _nodeScaleForZ(z) {
-      return lerp(CONFIG.NODE_NEAR_SCALE, CONFIG.NODE_FAR_SCALE, z);
+    // Depth ramps, unless the node's band overrides them. Foreground nodes pass the band
+    // _assignBands() gave them (nodeBands, which keeps an imported graph's pinned bands); bg
+    // nodes and in-between depths use the band at that depth
+    _nodeScaleForZ(z, band = this._bandIndexForZ(z)) {
+      const cfg = this.config;
+      return cfg.PARALLAX_BANDS[band].scale ?? lerp(cfg.NODE_NEAR_SCALE, cfg.NODE_FAR_SCALE, z);
     }
-    _nodeAlphaForZ(z) {
-      return lerp(CONFIG.BRIGHTNESS_NEAR, CONFIG.BRIGHTNESS_FAR, z);
+    _nodeAlphaForZ(z, band = this._bandIndexForZ(z)) {
+      const cfg = this.config;
+      return cfg.PARALLAX_BANDS[band].brightness ?? lerp(cfg.BRIGHTNESS_NEAR, cfg.BRIGHTNESS_FAR, z);
     }
     _lineWidthForZ(z) {
-      return lerp(CONFIG.LINE_WIDTH_NEAR, CONFIG.LINE_WIDTH_FAR, z);
+      const cfg = this.config;
+      return lerp(cfg.LINE_WIDTH_NEAR, cfg.LINE_WIDTH_FAR, z);
     }
     _lineAlphaForDist(dist) {
+      const cfg = this.config;
       const maxDist = Math.max(1, this.linkDistanceMax);
       const t = Math.min(1, Math.max(0, dist / maxDist));
-      return lerp(CONFIG.LINE_ALPHA_MIN, CONFIG.LINE_ALPHA_MAX, t);
+      return lerp(cfg.LINE_ALPHA_MIN, cfg.LINE_ALPHA_MAX, t);
     }
 
-    _drawNode(ctx, node, drawX, drawY) {
-      const scale = this._nodeScaleForZ(node.z);
-      const sprite = this.nodeSprite;
+    // ---------------- Batched links (LINK_RENDER_MODE: 'batched') ----------------
+    // Each link is split at its midpoint; each half takes the depth-gradient alpha at its own
+    // center (1/4 and 3/4 along), which stands in for the per-link gradient. Alpha and width
+    // are quantized into buckets (alpha on a square-root scale, so faint and zone-faded links
+    // keep their level), and every bucket is drawn as one path with one stroke, so a
+    // frame allocates no gradients or color strings. Butt caps keep the halves from
+    // overlapping; the outer ends sit under node glows anyway.
+    _beginLinkBatch(layer) {
+      const cfg = this.config;
+      const rgb = this.colors.link[layer];
+      const alphaBuckets = Math.max(2, cfg.LINK_ALPHA_BUCKETS | 0);
+      const widthBuckets = Math.max(1, cfg.LINK_WIDTH_BUCKETS | 0);
+      // Brightest alpha a link on this layer can reach: short, in the nearest or brightest band,
+      // and for dynamic links also fully hovered with the signal at full level
+      const brightest = cfg.PARALLAX_BANDS.reduce((max, band) => Math.max(max, band.brightness ?? 0),
+        Math.max(cfg.BRIGHTNESS_NEAR, cfg.BRIGHTNESS_FAR));
+      const boost = layer === 'dynamic' ? 1 + Math.max(0, cfg.HOVER_BRIGHTEN) + Math.max(0, cfg.SIGNAL_LINK_ALPHA) : 1;
+      const alphaMax = Math.min(1, Math.min(1, Math.max(cfg.LINE_ALPHA_MIN, cfg.LINE_ALPHA_MAX) * boost) * brightest);
+      const key = `${rgb}|${alphaBuckets}|${widthBuckets}|${alphaMax}`;
+      const batches = this._linkBatches || (this._linkBatches = {});
+      let batch = batches[layer];
+      if (!batch || batch.key !== key) {
+        batch = batches[layer] = {
+          key,
+          alphaBuckets,
+          widthBuckets,
+          alphaMax,
+          styles: Array.from({ length: alphaBuckets }, (_, k) => `rgba(${rgb}, ${(k / (alphaBuckets - 1)) ** 2 * alphaMax})`),
+          coords: Array.from({ length: alphaBuckets * widthBuckets }, () => new Float32Array(64)),
+          counts: new Int32Array(alphaBuckets * widthBuckets)
+        };
+      }
+      batch.counts.fill(0);
+      this._linkBatch = batch;
+    }
+
+    _batchLink(ax, ay, bx, by, alphaA, alphaB, width) {
+      const mx = (ax + bx) * 0.5, my = (ay + by) * 0.5;
+      this._batchSegment(ax, ay, mx, my, alphaA * 0.75 + alphaB * 0.25, width);
+      this._batchSegment(mx, my, bx, by, alphaA * 0.25 + alphaB * 0.75, width);
+    }
+
+    _batchSegment(x0, y0, x1, y1, alpha, width) {
+      const cfg = this.config;
+      const batch = this._linkBatch;
+      const a = Math.round(Math.sqrt(clamp(alpha / batch.alphaMax, 0, 1)) * (batch.alphaBuckets - 1));
+      if (a === 0) return;  // rounds to invisible
+      const span = cfg.LINE_WIDTH_FAR - cfg.LINE_WIDTH_NEAR;
+      const w = span ? Math.round(clamp((width - cfg.LINE_WIDTH_NEAR) / span, 0, 1) * (batch.widthBuckets - 1)) : 0;
+      const bucket = w * batch.alphaBuckets + a;
+      let buf = batch.coords[bucket];
+      const n = batch.counts[bucket];
+      if (n + 4 > buf.length) {
+        const grown = new Float32Array(buf.length * 2);
+        grown.set(buf);
+        buf = batch.coords[bucket] = grown;
+      }
+      buf[n] = x0; buf[n + 1] = y0; buf[n + 2] = x1; buf[n + 3] = y1;
+      batch.counts[bucket] = n + 4;
+    }
+
+    _flushLinkBatch(ctx) {
+      const cfg = this.config;
+      const batch = this._linkBatch;
+      ctx.lineCap = 'butt';
+      for (let bucket = 0; bucket < batch.counts.length; bucket++) {
+        const n = batch.counts[bucket];
+        if (!n) continue;
+        const w = (bucket / batch.alphaBuckets) | 0;
+        const a = bucket % batch.alphaBuckets;
+        const buf = batch.coords[bucket];
+        ctx.strokeStyle = batch.styles[a];
+        ctx.lineWidth = batch.widthBuckets > 1
+          ? lerp(cfg.LINE_WIDTH_NEAR, cfg.LINE_WIDTH_FAR, w / (batch.widthBuckets - 1))
+          : (cfg.LINE_WIDTH_NEAR + cfg.LINE_WIDTH_FAR) * 0.5;
+        ctx.beginPath();
+        for (let k = 0; k < n; k += 4) {
+          ctx.moveTo(buf[k], buf[k + 1]);
+          ctx.lineTo(buf[k + 2], buf[k + 3]);
+        }
+        ctx.stroke();
+      }
+      ctx.lineCap = 'round';
+    }
+
+    _drawNode(ctx, node, drawX, drawY, alphaScale = 1, sizeScale = 1, layer = 'dynamic', band) {
+      const scale = this._nodeScaleForZ(node.z, band) * sizeScale;
+      const sprite = this.nodeSprites[layer];
       const size = sprite.width * scale;
-      const alpha = this._nodeAlphaForZ(node.z);
-      ctx.globalAlpha = alpha;
       const x = (drawX !== undefined ? drawX : node.x);
       const y = (drawY !== undefined ? drawY : node.y);
+      const alpha = this._nodeAlphaForZ(node.z, band) * alphaScale * this._zoneAlpha(x, y, this.config.EXCLUSION_LINK_ALPHA);
+      ctx.globalAlpha = Math.min(1, alpha);
       ctx.drawImage(sprite, x - size / 2, y - size / 2, size, size);
       ctx.globalAlpha = 1;
     }
 
     // _drawBackground(): draw background links and nodes (no offsets applied here)
     _drawBackground() {
+      const cfg = this.config;
       const ctx = this.bg.ctx;
       ctx.clearRect(0, 0, this.width, this.height);
+      this._renderHook('beforeRender', ctx, 'bg');
 
-      // Soft background wiring (static links among bgNodes)
+      // Soft background wiring (static links among bgNodes); links reaching into an exclusion
+      // zone are drawn separately with its fade
+      const zoned = [];
       ctx.beginPath();
       for (let i = 0; i < this.bgLinks.length; i++) {
         const L = this.bgLinks[i];
         const a = this.bgNodes[L.ai], b = this.bgNodes[L.bi];
+        if (this._zoneRects.length && this._touchesZone(a.x, a.y, b.x, b.y)) {
+          zoned.push(L);
+          continue;
+        }
         ctx.moveTo(a.x, a.y);
         ctx.lineTo(b.x, b.y);
       }
-      ctx.strokeStyle = `rgba(${this.LINK_RGB}, ${CONFIG.BG_LINK_ALPHA})`;
-      ctx.lineWidth = CONFIG.BG_LINK_WIDTH;
+      ctx.strokeStyle = `rgba(${this.colors.link.bg}, ${cfg.BG_LINK_ALPHA})`;
+      ctx.lineWidth = cfg.BG_LINK_WIDTH;
       ctx.lineCap = 'round';
       ctx.stroke();
+      for (const L of zoned) {
+        const a = this.bgNodes[L.ai], b = this.bgNodes[L.bi];
+        this._strokeZonedLink(ctx, false, this.colors.link.bg, a.x, a.y, b.x, b.y, cfg.BG_LINK_ALPHA, cfg.BG_LINK_ALPHA, cfg.BG_LINK_WIDTH);
+      }
+      this._renderHook('afterLinks', ctx, 'bg');
 
       // Mask out lines behind background nodes (punch-through)
-      if (CONFIG.DYNAMIC_LINE_PUNCH) {
+      if (cfg.DYNAMIC_LINE_PUNCH) {
         ctx.save();
         ctx.globalCompositeOperation = 'destination-out';
         for (let i = 0; i < this.bgNodes.length; i++) {
           const b = this.bgNodes[i];
-          const radius = CONFIG.NODE_RADIUS_BASE * this._nodeScaleForZ(b.z) * CONFIG.PUNCH_THROUGH_RADIUS_SCALE;
+          const radius = cfg.NODE_RADIUS_BASE * this._nodeScaleForZ(b.z) * cfg.PUNCH_THROUGH_RADIUS_SCALE;
           ctx.beginPath();
           ctx.arc(b.x, b.y, radius, 0, Math.PI * 2);
           ctx.fill();
@@ -641,25 +2994,40 @@
 
       // Draw background nodes (static points)
       for (let i = 0; i < this.bgNodes.length; i++) {
-        this._drawNode(ctx, this.bgNodes[i], this.bgNodes[i].x, this.bgNodes[i].y);
+        this._drawNode(ctx, this.bgNodes[i], this.bgNodes[i].x, this.bgNodes[i].y, 1, 1, 'bg');
       }
+      this._renderHook('afterNodes', ctx, 'bg');
+      if (!this._cssCompositing) this._fadeLayer(ctx, this._edgeFade('BG'));
+      this._viewsKey = '';
     }
 
     // _drawStaticLayer(): draw static network links & nodes (no offsets applied here)
     _drawStaticLayer() {
+      const cfg = this.config;
       const ctx = this.static.ctx;
       ctx.clearRect(0, 0, this.width, this.height);
+      this._renderHook('beforeRender', ctx, 'static');
+      const batched = cfg.LINK_RENDER_MODE !== 'quality';
+      if (batched) this._beginLinkBatch('static');
       ctx.lineCap = 'round';
       for (let i = 0; i < this.staticLinks.length; i++) {
         const L = this.links[this.staticLinks[i]];
         const a = this.nodes[L.ai], b = this.nodes[L.bi];
         const dist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
         const alphaDist = this._lineAlphaForDist(dist);
-        const alphaA = this._nodeAlphaForZ(a.z) * alphaDist;
-        const alphaB = this._nodeAlphaForZ(b.z) * alphaDist;
+        const alphaA = this._nodeAlphaForZ(a.z, this.nodeBands[L.ai]) * alphaDist;
+        const alphaB = this._nodeAlphaForZ(b.z, this.nodeBands[L.bi]) * alphaDist;
+        if (this._zoneRects.length && this._touchesZone(a.x, a.y, b.x, b.y)) {
+          this._strokeZonedLink(ctx, batched, this.colors.link.static, a.x, a.y, b.x, b.y, alphaA, alphaB, this._lineWidthForZ((a.z + b.z) * 0.5));
+          continue;
+        }
+        if (batched) {
+          this._batchLink(a.x, a.y, b.x, b.y, alphaA, alphaB, this._lineWidthForZ((a.z + b.z) * 0.5));
+          continue;
+        }
         const grad = ctx.createLinearGradient(a.x, a.y, b.x, b.y);
-        grad.addColorStop(0, `rgba(${this.LINK_RGB}, ${alphaA})`);
-        grad.addColorStop(1, `rgba(${this.LINK_RGB}, ${alphaB})`);
+        grad.addColorStop(0, `rgba(${this.colors.link.static}, ${alphaA})`);
+        grad.addColorStop(1, `rgba(${this.colors.link.static}, ${alphaB})`);
         const zAvg = (a.z + b.z) * 0.5;
         ctx.strokeStyle = grad;
         ctx.lineWidth = this._lineWidthForZ(zAvg);
@@ -668,15 +3036,17 @@
         ctx.lineTo(b.x, b.y);
         ctx.stroke();
       }
+      if (batched) this._flushLinkBatch(ctx);
+      this._renderHook('afterLinks', ctx, 'static');
       // Mask out lines under static nodes
-      if (CONFIG.DYNAMIC_LINE_PUNCH) {
+      if (cfg.DYNAMIC_LINE_PUNCH) {
         ctx.save();
         ctx.globalCompositeOperation = 'destination-out';
         for (let i = 0; i < this.nodes.length; i++) {
           if (this.movingFlags[i]) continue;  // only far/static nodes
           const x = this.nodes[i].x;
           const y = this.nodes[i].y;
-          const radius = CONFIG.NODE_RADIUS_BASE * this._nodeScaleForZ(this.nodes[i].z) * CONFIG.PUNCH_THROUGH_RADIUS_SCALE;
+          const radius = cfg.NODE_RADIUS_BASE * this._nodeScaleForZ(this.nodes[i].z, this.nodeBands[i]) * cfg.PUNCH_THROUGH_RADIUS_SCALE;
           ctx.beginPath();
           ctx.arc(x, y, radius, 0, Math.PI * 2);
           ctx.fill();
@@ -686,21 +3056,598 @@
       // Draw static nodes (far layer) on top of their links
       for (let i = 0; i < this.nodes.length; i++) {
         if (!this.movingFlags[i]) {
-          this._drawNode(ctx, this.nodes[i], this.nodes[i].x, this.nodes[i].y);
+          this._drawNode(ctx, this.nodes[i], this.nodes[i].x, this.nodes[i].y, 1, 1, 'static', this.nodeBands[i]);
+        }
+      }
+      this._renderHook('afterNodes', ctx, 'static');
+      if (!this._cssCompositing) this._fadeLayer(ctx, this._edgeFade('STATIC'));
+      this._viewsKey = '';
+    }
+
+    // ---------------- Pointer interaction ----------------
+    _bindPointer(enabled) {
+      if (this._unwatchPointer) {
+        this._unwatchPointer();
+        this._unwatchPointer = null;
+      }
+      this._pointer.active = false;
+      if (enabled && this.container) this._unwatchPointer = watchPointer(this.container, (kind, x, y) => this._pointerInput(kind, x, y));
+    }
+
+    // Pointer input in container px, from watchPointer() here or posted by a WorkerEngine
+    _pointerInput(kind, x, y) {
+      if (kind === 'leave') {
+        this._pointer.active = false;
+        return;
+      }
+      this._pointer.x = x;
+      this._pointer.y = y;
+      this._pointer.active = true;
+      if (kind === 'down') this._burstAt(x, y);
+    }
+
+    // Moving nodes ease toward (or away from) the cursor inside INTERACTION_RADIUS and spring
+    // back to their orbit outside it; every node eases its hover highlight
+    _updateInteraction() {
+      const cfg = this.config;
+      const R = Math.max(1, cfg.INTERACTION_RADIUS);
+      const ease = clamp(cfg.INTERACTION_EASE, 0, 1);
+      const p = this._pointer;
+      const px = p.x - this._globalOffsetX, py = p.y - this._globalOffsetY;
+      for (let i = 0; i < this.nodes.length; i++) {
+        const n = this.nodes[i];
+        let tx = 0, ty = 0, near = 0;
+        if (p.active) {
+          const dx = px - n.x, dy = py - n.y;
+          const d = Math.hypot(dx, dy);
+          if (d < R) {
+            const f = 1 - d / R;
+            near = f * f * (3 - 2 * f);  // smoothstep falloff
+            if (this.movingFlags[i] && d > 0) {
+              let mag = R * cfg.INTERACTION_STRENGTH * near;
+              if (mag > 0) mag = Math.min(mag, d * 0.9);  // never overshoot the cursor
+              tx = dx / d * mag;
+              ty = dy / d * mag;
+            }
+          }
+        }
+        n.ix += (tx - n.ix) * ease;
+        n.iy += (ty - n.iy) * ease;
+        n.hl += (near - n.hl) * ease;
+        if (this.movingFlags[i]) {
+          n.x += n.ix;
+          n.y += n.iy;
         }
       }
     }
 
+    // Click/tap: release a burst of pulses outward along the nearest node's links
+    _burstAt(x, y) {
+      const cfg = this.config;
+      if (!(cfg.CLICK_BURST_PULSES > 0)) return;
+      const node = this._nearestNode(x, y, cfg.INTERACTION_RADIUS);
+      if (node !== -1) this._fireFrom(node, cfg.CLICK_BURST_PULSES, 1, true);
+    }
+
+    // Index of the node drawn nearest to container point (x, y) within maxDist, or -1
+    _nearestNode(x, y, maxDist = Infinity) {
+      const px = x - this._globalOffsetX, py = y - this._globalOffsetY;
+      let best = -1, bestD = maxDist;
+      for (let i = 0; i < this.nodes.length; i++) {
+        const d = Math.hypot(this.nodes[i].x - px, this.nodes[i].y - py);
+        if (d < bestD) { bestD = d; best = i; }
+      }
+      return best;
+    }
+
+    // Up to `count` pulses leaving `node` along randomly picked links (always traveling away from it)
+    _fireFrom(node, count, energy, cascade) {
+      const incident = shuffleArray(this.adjacency[node].filter(idx => this._canLeave(idx, node)), this._pulseRng);
+      const n = Math.min(count, incident.length);
+      const hop = cascade ? 0 : this.config.CASCADE_MAX_HOPS;
+      for (let k = 0; k < n; k++) {
+        this._spawnPulse(incident[k], this.links[incident[k]].ai === node ? 1 : -1, energy, hop, true);
+      }
+      return n;
+    }
+
+    // ---------------- Activity API ----------------
+    /**
+     * Send pulses from a node outward along its links, e.g. when the app does something.
+     * Fired pulses (and their cascades) don't count against the ambient pulse cap.
+     * @param {number|{x: number, y: number}} target  Node id, or a point in container px (its nearest node fires)
+     * @param {object} [opts]
+     * @param {number} [opts.pulses]  Links to fire along (default: all the node's links)
+     * @param {number} [opts.energy]  Pulse brightness, 0..1 (default 1); cascades decay from it
+     * @param {boolean} [opts.cascade]  Let the pulses continue per CASCADE_* settings (default true)
+     * @returns {number}  Pulses sent
+     */
+    fire(target, opts = {}) {
+      const { pulses = Infinity, energy = 1, cascade = true } = opts;
+      let node = -1;
+      if (typeof target === 'number') {
+        if (Number.isInteger(target) && target >= 0 && target < this.nodes.length) node = target;
+        else warnOnce(`fire(): no node with id ${target}`);
+      } else if (target && Number.isFinite(target.x) && Number.isFinite(target.y)) {
+        node = this._nearestNode(target.x, target.y);
+      } else {
+        throw new Error('fire() takes a node id or an { x, y } point');
+      }
+      if (node === -1 || !(pulses > 0)) return 0;
+      return this._fireFrom(node, pulses, clamp(energy, 0, 1), cascade);
+    }
+
+    /**
+     * Ramp between the idle (0) and busy (1) presets: pulse spawn interval, pulse cap, pulse
+     * speed and the brightness of moving nodes and pulses follow ACTIVITY_IDLE/ACTIVITY_BUSY,
+     * easing over ACTIVITY_RAMP_MS. Same as configure({ ACTIVITY: level }).
+     * @param {number} level  0..1
+     */
+    setActivity(level) {
+      return this.configure({ ACTIVITY: clamp(Number(level) || 0, 0, 1) });
+    }
+
+    /** Current (eased) activity level, 0..1. */
+    getActivity() {
+      return this._activity.level;
+    }
+
+    // ---------------- Signal input ----------------
+    /**
+     * Follow a live signal: an AnalyserNode (e.g. on a local <audio> element or the mic; nothing
+     * is fetched) or a sampler returning a 0..1 level or an array of band levels. It is read
+     * every simulation step and split into SIGNAL_BANDS levels, smoothed with SIGNAL_ATTACK_MS /
+     * SIGNAL_RELEASE_MS and mapped onto nodes per SIGNAL_MAP. Levels raise node glow
+     * (SIGNAL_GLOW), dynamic link alpha (SIGNAL_LINK_ALPHA) and orbit radius (SIGNAL_ORBIT), and
+     * speed up pulse spawning near loud nodes (SIGNAL_SPAWN). `null` lets the levels fade out.
+     * @param {AnalyserNode|(() => number|number[])|null} source
+     */
+    setSignal(source) {
+      if (source !== null && !isSignalSource(source)) {
+        throw new Error('setSignal() takes an AnalyserNode, a () => number (or number[]) sampler, or null');
+      }
+      this._signal.source = source;
+      return this;
+    }
+
+    /** Smoothed signal levels per band, 0..1 (empty without a signal). */
+    getSignalLevels() {
+      return Array.from(this._signal.active ? this._signal.levels : []);
+    }
+
+    // Raw levels from the main thread, for engines in a worker (null ends them)
+    _setSignalLevels(levels) {
+      this._signal.external = levels ? Float32Array.from(levels) : null;
+    }
+
+    // Attack/release smoothing toward the latest raw levels (silence once the source is gone)
+    _stepSignal(dt_ms) {
+      const s = this._signal;
+      const live = !!(s.source || s.external);
+      if (!live && !s.active) return;
+      const cfg = this.config;
+      const raw = s.source ? sampleSignal(s.source, cfg, s) : s.external;
+      const bands = Math.max(1, Math.round(cfg.SIGNAL_BANDS));
+      if (s.levels.length !== bands) s.levels = new Float32Array(bands);
+      let sum = 0, audible = false;
+      for (let k = 0; k < bands; k++) {
+        const target = raw ? clamp(raw[Math.floor(k * raw.length / bands)] || 0, 0, 1) : 0;
+        const level = s.levels[k];
+        const tau = Math.max(1, target > level ? cfg.SIGNAL_ATTACK_MS : cfg.SIGNAL_RELEASE_MS);
+        s.levels[k] = level + (target - level) * (1 - Math.exp(-dt_ms / tau));
+        sum += s.levels[k];
+        if (s.levels[k] > 1e-3) audible = true;
+      }
+      s.overall = sum / bands;
+      s.active = live || audible;
+      if (!s.active) {
+        s.levels.fill(0);
+        s.overall = 0;
+      }
+    }
+
+    // Smoothed level driving node i under SIGNAL_MAP
+    _nodeSignal(i) {
+      const s = this._signal;
+      const levels = s.levels, bands = levels.length;
+      if (!s.active || !bands) return 0;
+      switch (this.config.SIGNAL_MAP) {
+        case 'all':
+          return s.overall;
+        case 'regions':
+          return levels[Math.min(bands - 1, Math.floor(clamp(this.nodes[i].ox / Math.max(1, this.width), 0, 1) * bands))];
+        default: {
+          const layers = this.config.PARALLAX_BANDS.length;
+          return levels[Math.min(bands - 1, Math.floor(this.nodeBands[i] * bands / layers))];
+        }
+      }
+    }
+
+    _linkSignal(linkIndex) {
+      const L = this.links[linkIndex];
+      return (this._nodeSignal(L.ai) + this._nodeSignal(L.bi)) * 0.5;
+    }
+
+    _signalSpawnScale() {
+      if (!this._signal.active) return 1;
+      return Math.max(0.05, 1 - clamp(this.config.SIGNAL_SPAWN, 0, 1) * this._signal.overall);
+    }
+
+    // ---------------- SVG export ----------------
+    /**
+     * Serialize the current frame as a standalone, resolution-independent SVG: bg wiring and
+     * nodes, static links with their per-link depth gradients, dynamic links, pulses and node
+     * glows (radial gradients). Line punch-through and the radial edge fades become SVG masks,
+     * and the bg/static parallax offsets become group transforms.
+     * @param {object} [opts]
+     * @param {string} [opts.background]  CSS color painted behind the network (default: the palette background, if any)
+     * @returns {string}
+     */
+    toSVG(opts = {}) {
+      const cfg = this.config;
+      const W = this.width, H = this.height;
+      const num = (v) => String(Math.round(v * 100) / 100);
+      const rgb = (tuple) => `rgb(${tuple})`;
+      const defs = [];
+      const gradientStops = (tuple, stops) => stops
+        .map(([offset, opacity]) => `<stop offset="${offset}" stop-color="${rgb(tuple)}" stop-opacity="${opacity}"/>`).join('');
+
+      // Glow sprites as objectBoundingBox radial gradients: one per layer for nodes, one per ramp
+      // step for pulses
+      for (const layer of LAYER_NAMES) {
+        defs.push(`<radialGradient id="nn-node-glow-${layer}">${gradientStops(this.colors.node[layer], [[0, 1], [0.2, 1], [1, 0]])}</radialGradient>`);
+      }
+      this.pulseColors.forEach((tuple, k) => {
+        defs.push(`<radialGradient id="nn-pulse-glow-${k}">${gradientStops(tuple, [[0, 1], [0.5, 0.5], [1, 0]])}</radialGradient>`);
+      });
+
+      // Edge fades: luminance masks matching _fadeLayer / the CSS radial-gradient masks
+      const fadeMask = (name) => {
+        const fade = this._edgeFade(name);
+        if (!fade) return '';
+        const id = `nn-fade-${name.toLowerCase()}`;
+        const span = Math.max(1, fade.outer);
+        const r = Math.hypot(W / 2, H / 2) * span;
+        defs.push(`<radialGradient id="${id}-grad" gradientUnits="userSpaceOnUse" cx="${num(W / 2)}" cy="${num(H / 2)}" r="${num(r)}">` +
+          `<stop offset="${clamp(fade.inner / span, 0, 1)}" stop-color="#fff"/><stop offset="${clamp(fade.outer / span, 0, 1)}" stop-color="#000"/></radialGradient>`);
+        defs.push(`<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${num(W)}" height="${num(H)}">` +
+          `<rect width="${num(W)}" height="${num(H)}" fill="url(#${id}-grad)"/></mask>`);
+        return ` mask="url(#${id})"`;
+      };
+
+      // Punch-through: links are hidden under a black disc per node (`bands` per node for the
+      // foreground, where it is the assigned band rather than the one at the node's depth)
+      const punchMask = (id, nodes, ox, oy, bands = []) => {
+        if (!cfg.DYNAMIC_LINE_PUNCH) return '';
+        const holes = nodes.map((n, k) => {
+          const r = cfg.NODE_RADIUS_BASE * this._nodeScaleForZ(n.z, bands[k]) * cfg.PUNCH_THROUGH_RADIUS_SCALE;
+          return `<circle cx="${num(n.x + ox)}" cy="${num(n.y + oy)}" r="${num(r)}" fill="#000"/>`;
+        }).join('');
+        const pad = cfg.NODE_RADIUS_BASE * 4;
+        defs.push(`<mask id="${id}" maskUnits="userSpaceOnUse" x="${num(-pad)}" y="${num(-pad)}" width="${num(W + pad * 2)}" height="${num(H + pad * 2)}">` +
+          `<rect x="${num(-pad)}" y="${num(-pad)}" width="${num(W + pad * 2)}" height="${num(H + pad * 2)}" fill="#fff"/>${holes}</mask>`);
+        return ` mask="url(#${id})"`;
+      };
+
+      const nodeGlow = (n, ox, oy, layer, band) => {
+        const r = cfg.NODE_RADIUS_BASE * this._nodeScaleForZ(n.z, band);
+        return `<circle cx="${num(n.x + ox)}" cy="${num(n.y + oy)}" r="${num(r)}" fill="url(#nn-node-glow-${layer})" opacity="${num(this._nodeAlphaForZ(n.z, band))}"/>`;
+      };
+
+      // Same depth/length shading as _drawStaticLayer and _render
+      let gradientId = 0;
+      const gradientLink = (L, ox, oy, layer) => {
+        const a = this.nodes[L.ai], b = this.nodes[L.bi];
+        const tuple = this.colors.link[layer];
+        const ax = a.x + ox, ay = a.y + oy, bx = b.x + ox, by = b.y + oy;
+        const alphaDist = this._lineAlphaForDist(Math.max(1, Math.hypot(bx - ax, by - ay)));
+        const id = `nn-link-${gradientId++}`;
+        defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${num(ax)}" y1="${num(ay)}" x2="${num(bx)}" y2="${num(by)}">` +
+          `<stop offset="0" stop-color="${rgb(tuple)}" stop-opacity="${num(this._nodeAlphaForZ(a.z, this.nodeBands[L.ai]) * alphaDist)}"/>` +
+          `<stop offset="1" stop-color="${rgb(tuple)}" stop-opacity="${num(this._nodeAlphaForZ(b.z, this.nodeBands[L.bi]) * alphaDist)}"/></linearGradient>`);
+        return `<line x1="${num(ax)}" y1="${num(ay)}" x2="${num(bx)}" y2="${num(by)}" stroke="url(#${id})" stroke-width="${num(this._lineWidthForZ((a.z + b.z) * 0.5))}"/>`;
+      };
+
+      // Background layer
+      const bgX = this._globalOffsetX + this._bgOffsetX, bgY = this._globalOffsetY + this._bgOffsetY;
+      const bgPath = this.bgLinks.map(L => {
+        const a = this.bgNodes[L.ai], b = this.bgNodes[L.bi];
+        return `M${num(a.x)} ${num(a.y)}L${num(b.x)} ${num(b.y)}`;
+      }).join('');
+      const bgLayer =
+        `<g id="nn-layer-bg" transform="translate(${num(bgX)} ${num(bgY)})"${fadeMask('BG')}>` +
+        `<g${punchMask('nn-punch-bg', this.bgNodes, 0, 0)}><path d="${bgPath}" fill="none" stroke="${rgb(this.colors.link.bg)}" stroke-opacity="${cfg.BG_LINK_ALPHA}" stroke-width="${cfg.BG_LINK_WIDTH}" stroke-linecap="round"/></g>` +
+        this.bgNodes.map(n => nodeGlow(n, 0, 0, 'bg')).join('') +
+        `</g>`;
+
+      // Static layer (far band)
+      const staticIds = this.nodes.map((_, i) => i).filter(i => !this.movingFlags[i]);
+      const staticNodes = staticIds.map(i => this.nodes[i]);
+      const staticBands = staticIds.map(i => this.nodeBands[i]);
+      const staticLayer =
+        `<g id="nn-layer-static" transform="translate(${num(this._globalOffsetX)} ${num(this._globalOffsetY)})"${fadeMask('STATIC')}>` +
+        `<g stroke-linecap="round"${punchMask('nn-punch-static', staticNodes, 0, 0, staticBands)}>` +
+        this.staticLinks.map(idx => gradientLink(this.links[idx], 0, 0, 'static')).join('') +
+        `</g>` + staticNodes.map((n, k) => nodeGlow(n, 0, 0, 'static', staticBands[k])).join('') + `</g>`;
+
+      // Pulse glow plus, for PULSE_STYLE 'comet', the tail _drawPulse strokes behind it
+      let trailId = 0;
+      const pulseMark = (fromX, fromY, x, y, radius, alpha, progress) => {
+        const step = this._pulseStep(progress);
+        const opacity = alpha < 1 ? ` opacity="${num(alpha)}"` : '';
+        let trail = '';
+        const len = Math.hypot(fromX - x, fromY - y);
+        const tail = Math.min(len, cfg.PULSE_TRAIL_PX);
+        if (cfg.PULSE_STYLE === 'comet' && tail > 1) {
+          const tx = x + (fromX - x) / len * tail, ty = y + (fromY - y) / len * tail;
+          const id = `nn-trail-${trailId++}`;
+          defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${num(tx)}" y1="${num(ty)}" x2="${num(x)}" y2="${num(y)}">` +
+            `${gradientStops(this.pulseColors[step], [[0, 0], [1, num(0.6 * alpha)]])}</linearGradient>`);
+          trail = `<line x1="${num(tx)}" y1="${num(ty)}" x2="${num(x)}" y2="${num(y)}" stroke="url(#${id})" stroke-width="${num(radius)}" stroke-linecap="round"/>`;
+        }
+        return `${trail}<circle cx="${num(x)}" cy="${num(y)}" r="${num(radius)}" fill="url(#nn-pulse-glow-${step})"${opacity}/>`;
+      };
+
+      // Overlay: static/bg pulses, already offset and faded per pulse
+      const overlayLayer = `<g id="nn-layer-overlay">` +
+        this._layerPulseMarks().map(m => pulseMark(m.fromX, m.fromY, m.x, m.y, m.radius, m.alpha, m.progress)).join('') + `</g>`;
+
+      // Dynamic layer: content carries the global offset, the fade stays fixed to the viewport
+      const ox = this._globalOffsetX, oy = this._globalOffsetY;
+      const movingIds = this.nodes.map((_, i) => i).filter(i => this.movingFlags[i]);
+      const movingNodes = movingIds.map(i => this.nodes[i]);
+      const movingBands = movingIds.map(i => this.nodeBands[i]);
+      const pulses = [];
+      for (let i = 0; i < this.pulsesLen; i++) {
+        const p = this.pulses[i];
+        const L = this.links[p.linkIndex];
+        if (!L) continue;
+        const a = this.nodes[L.ai], b = this.nodes[L.bi];
+        const t = p.dir < 0 ? 1 - p.t : p.t;
+        const x = a.x + (b.x - a.x) * t + ox, y = a.y + (b.y - a.y) * t + oy;
+        const from = p.dir < 0 ? b : a;
+        pulses.push(pulseMark(from.x + ox, from.y + oy, x, y, cfg.PULSE_RADIUS, p.energy, p.t));
+      }
+      const dynamicLayer =
+        `<g id="nn-layer-dynamic"${fadeMask('DYNAMIC')}>` +
+        `<g stroke-linecap="round"${punchMask('nn-punch-dynamic', movingNodes, ox, oy, movingBands)}>` +
+        this.dynamicLinks.map(idx => gradientLink(this.links[idx], ox, oy, 'dynamic')).join('') +
+        `</g>` + pulses.join('') + movingNodes.map((n, k) => nodeGlow(n, ox, oy, 'dynamic', movingBands[k])).join('') + `</g>`;
+
+      // Explicit background color, else the palette's background gradient (if any)
+      let background = '';
+      const paletteBg = this.colors.background;
+      if (opts.background) {
+        background = `<rect width="${num(W)}" height="${num(H)}" fill="${opts.background}"/>`;
+      } else if (paletteBg && paletteBg.alpha > 0) {
+        const last = Math.max(1, paletteBg.stops.length - 1);
+        defs.push(`<linearGradient id="nn-background" x1="0" y1="0" x2="0" y2="1">` +
+          paletteBg.stops.map((tuple, k) => `<stop offset="${num(k / last)}" stop-color="${rgb(tuple)}" stop-opacity="${num(paletteBg.alpha)}"/>`).join('') +
+          `</linearGradient>`);
+        background = `<rect width="${num(W)}" height="${num(H)}" fill="url(#nn-background)"/>`;
+      }
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${num(W)}" height="${num(H)}" viewBox="0 0 ${num(W)} ${num(H)}">` +
+        `<defs>${defs.join('')}</defs>${background}${bgLayer}${staticLayer}${overlayLayer}${dynamicLayer}</svg>`;
+    }
+
+    // ---------------- Adaptive quality ----------------
+    // The governor keeps rolling averages of the frame interval and of the time spent in
+    // update + render, relative to the frame budget of the current fps cap. Sustained
+    // overload (or dropped simulation steps) moves one level down QUALITY_LEVELS; sustained
+    // headroom moves one level back up. The two thresholds and hold times differ, so it
+    // settles instead of flapping.
+
+    // Level 0 is the configured quality; saveData users never get above QUALITY_SAVE_DATA_LEVEL
+    _qualityFloor() {
+      const cfg = this._baseConfig;
+      if (!cfg.ADAPTIVE_QUALITY) return 0;
+      const conn = (typeof navigator !== 'undefined') ? navigator.connection : null;
+      return (conn && conn.saveData) ? Math.min(cfg.QUALITY_SAVE_DATA_LEVEL, cfg.QUALITY_LEVELS.length) : 0;
+    }
+
+    _effectiveConfig() {
+      const base = this._baseConfig;
+      const level = base.QUALITY_LEVELS[this._qualityLevel - 1];
+      if (!level) return base;
+      const cfg = { ...base };
+      for (const key of Object.keys(level)) {
+        if (typeof level[key] === 'number' && typeof base[key] === 'number') cfg[key] = Math.min(base[key], level[key]);
+      }
+      return cfg;
+    }
+
+    _resetQualityStats() {
+      this._quality = { frameMs: this._minFrameMs, costMs: 0, droppedSteps: 0, overSince: null, underSince: null };
+    }
+
+    _setQualityLevel(level) {
+      this._qualityLevel = level;
+      this._applyConfig(this._effectiveConfig());
+      this._resetQualityStats();
+    }
+
+    /**
+     * Current governor state: level (0 = configured quality), the rolling frame interval and
+     * update + render cost in ms, and simulation steps dropped since the last level change.
+     */
+    getQuality() {
+      const q = this._quality;
+      return {
+        level: this._qualityLevel,
+        levels: this._baseConfig.QUALITY_LEVELS.length,
+        floor: this._qualityFloor(),
+        frameMs: q.frameMs,
+        costMs: q.costMs,
+        droppedSteps: q.droppedSteps
+      };
+    }
+
+    _governQuality(now, frameMs, costMs, dropped) {
+      const cfg = this._baseConfig;
+      if (!cfg.ADAPTIVE_QUALITY) return;
+      const q = this._quality;
+      const budget = this._minFrameMs;
+      q.frameMs += (Math.min(frameMs, budget * 4) - q.frameMs) * 0.1;
+      q.costMs += (costMs - q.costMs) * 0.1;
+      q.droppedSteps += dropped;
+
+      const floor = this._qualityFloor();
+      if (this._qualityLevel < floor) {
+        this._setQualityLevel(floor);
+        return;
+      }
+      // Frames land on vsync, so up to one extra refresh per frame is normal; twice the budget is not
+      const slowFrames = q.frameMs > budget * 2;
+      const overloaded = dropped > 0 || slowFrames || q.costMs > budget * cfg.QUALITY_DOWN_LOAD;
+      const idle = !slowFrames && q.costMs < budget * cfg.QUALITY_UP_LOAD;
+      q.overSince = overloaded ? (q.overSince ?? now) : null;
+      q.underSince = idle ? (q.underSince ?? now) : null;
+      if (q.overSince !== null && now - q.overSince >= cfg.QUALITY_DOWN_HOLD_MS && this._qualityLevel < cfg.QUALITY_LEVELS.length) {
+        this._setQualityLevel(this._qualityLevel + 1);
+      } else if (q.underSince !== null && now - q.underSince >= cfg.QUALITY_UP_HOLD_MS && this._qualityLevel > floor) {
+        this._setQualityLevel(this._qualityLevel - 1);
+      }
+    }
+
+    // ---------------- Events & plugins ----------------
+    /**
+     * Listen for an engine event or render hook. Events pass one detail object:
+     *  - 'pulse:spawn', 'pulse:arrive': { linkIndex, from, to, energy, hop } (from/to are node ids)
+     *  - 'loop:wrap': { loop }  (number of completed loops)
+     *  - 'resize': { width, height }
+     *  - 'rebuild': { nodes, links }  (node and link counts after links were rebuilt)
+     *  - 'theme:change': { theme, colors, fadeMs }
+     * Render hooks ('beforeRender', 'afterLinks', 'afterNodes') get (ctx, frame) for each layer
+     * as it is drawn, with frame = { layer, nodes, moving, offsetX, offsetY, width, height, loopMs };
+     * a node is drawn at (x + offsetX, y + offsetY). 'bg' and 'static' are cached layers, so their
+     * hooks run when those are redrawn (resize, rebuild, theme, hooks added or removed), 'dynamic'
+     * every frame.
+     * @param {string} type
+     * @param {Function} fn
+     * @returns {Function}  Removes the listener
+     */
+    on(type, fn) {
+      return this._events.on(type, fn);
+    }
+    off(type, fn) {
+      this._events.off(type, fn);
+    }
+
+    /**
+     * Install a plugin: an `install(engine, options)` function or `{ name, install }`. Whatever
+     * install returns is the plugin's per-engine state (see getPlugin()); if it is a function,
+     * or has a dispose() method, that runs when the plugin is removed. Listeners the plugin adds
+     * with on() while installing are removed with it. Installing the same plugin again is a no-op.
+     * @returns {Function}  Removes the plugin (also done by destroy())
+     */
+    use(plugin, options = {}) {
+      return this._events.use(this, plugin, options);
+    }
+
+    /** State a plugin's install returned, by plugin or `name`. */
+    getPlugin(nameOrPlugin) {
+      return this._events.plugin(nameOrPlugin);
+    }
+
     // ---------------- Main Loop Control ----------------
+    /**
+     * Run the loop. After stop()/pause() it continues from the loop time it was frozen at,
+     * so nodes and pulses pick up where they were instead of jumping to a new phase.
+     */
     start() {
-      if (this._running) return;
+      if (this._recording) {
+        this._recording.resume = true;
+        return;
+      }
+      if (this._running || this._destroyed) return;
       this._running = true;
       this._prev = performance.now();
+      if (this._pausedAt !== null) this._shiftClock(this._prev - this._pausedAt);
+      this._pausedAt = null;
       this._lag = 0;
-      requestAnimationFrame(t => this._loop(t));
+      this._resetQualityStats();
+      nextFrame(t => this._loop(t));
     }
+    /** Freeze the loop on its current frame; start() or resume() continues it. */
     stop() {
+      if (this._recording) this._recording.resume = false;
+      if (this._running) this._pausedAt = performance.now();
       this._running = false;
+      // A stopped engine shows the colors it is heading to, not a half-finished fade
+      if (this._colorFade) {
+        this.colors = this._colorFade.to;
+        this._colorFade = null;
+        this._recolor();
+      }
+    }
+    /** Same as stop(), named for hosts that pair it with resume(). */
+    pause() {
+      this.stop();
+    }
+    /** Same as start(). */
+    resume() {
+      this.start();
+    }
+
+    /** @returns {'running'|'paused'|'destroyed'} */
+    get state() {
+      if (this._destroyed) return 'destroyed';
+      return this._running ? 'running' : 'paused';
+    }
+
+    // Moves every loop-time reference forward by a pause, so loop time skips the paused span
+    _shiftClock(ms) {
+      this._loopStart += ms;
+      this._lastPulseSpawn += ms;
+      for (const name of ['static', 'bg']) this._layerPulses[name].last += ms;
+    }
+
+    /**
+     * Tear the engine down for good: stops the loop, removes its window listeners, theme
+     * watcher and exclusion observers, takes its canvases out of the container and releases
+     * sprites and caches. Further calls are no-ops.
+     */
+    destroy() {
+      if (this._destroyed) return;
+      this.stop();
+      this._destroyed = true;
+      this._events.dispose();
+      this._signal.source = null;
+      this._signal.external = null;
+      if (this.container) window.removeEventListener('resize', this._onResize);
+      this._bindPointer(false);
+      this._unwatchTheme();
+      if (this._exclusions) this._exclusions.dispose();
+      this._exclusions = null;
+      this._zoneRects = [];
+      for (const dispose of this._disposers.splice(0)) dispose();
+
+      if (this._cssCompositing) {
+        if (this._ownsBackground) this.container.style.background = '';
+        for (const layer of [this.bg, this.static, this.overlay, this.dynamic]) layer.c.remove();
+      }
+      // Zero-sized canvases give their backing stores back right away; canvases the caller
+      // passed in (an output <canvas> or a surface) are left as they are
+      const owned = [this.bg, this.static];
+      if (!this._surface) owned.push(this.overlay, this.dynamic);
+      for (const layer of owned) layer.c.width = layer.c.height = 0;
+      for (const sprite of [...Object.values(this.nodeSprites), ...this.pulseSprites]) sprite.width = sprite.height = 0;
+      this.nodeSprites = {};
+      this.pulseSprites = [];
+      this._shapeMask = null;
+      this._graph = null;
+      this._curlWaves = null;
+
+      for (let i = 0; i < this.pulsesLen; i++) this.pulses[i] = null;
+      this.pulsesLen = 0;
+      this.nodes = [];
+      this.bgNodes = [];
+      this.links = [];
+      this.dynamicLinks = [];
+      this.staticLinks = [];
+      this.bgLinks = [];
+      this.movingFlags = [];
+      this._initLayerPulses();
     }
 
     _loop(now) {
@@ -708,12 +3655,13 @@
       // Cap rendering rate
       const frameElapsed = now - this._prev;
       if (frameElapsed < this._minFrameMs) {
-        requestAnimationFrame(t => this._loop(t));
+        nextFrame(t => this._loop(t));
         return;
       }
       let elapsed = frameElapsed;
       this._prev = now;
       this._lag += elapsed;
+      const workStart = performance.now();
       // Fixed-step simulation updates (with a simple cap to avoid spiral of death)
       const dt = this._dt_ms;
       let steps = 0;
@@ -722,152 +3670,589 @@
         this._lag -= dt;
         steps++;
       }
-      this._render();
-      requestAnimationFrame(t => this._loop(t));
+      // Steps beyond the cap are dropped (motion follows the clock anyway), but counted as load
+      const dropped = Math.floor(this._lag / dt);
+      this._lag -= dropped * dt;
+      this._stepColorFade(now);
+      this._render();
+      this._governQuality(now, frameElapsed, performance.now() - workStart, dropped);
+      nextFrame(t => this._loop(t));
+    }
+
+    _update(dt_ms, now) {
+      const loopIndex = Math.floor((now - this._loopStart) / this.config.LOOP_DURATION_MS);
+      if (loopIndex > this._loopIndex) this._events.emit('loop:wrap', { loop: loopIndex });
+      this._loopIndex = loopIndex;
+      this._updateMotion(now - this._loopStart);
+      if (this.config.INTERACTION) this._updateInteraction();
+      this._stepActivity(dt_ms);
+      this._stepSignal(dt_ms);
+      this._updatePulses(dt_ms, now);
+      this._updateLayerPulses(dt_ms, now);
+    }
+
+    // Positions and drift are a pure function of loop time, which is what makes the loop seamless
+    _updateMotion(loopMs) {
+      const cfg = this.config;
+      const TAU = Math.PI * 2;
+      const loopT = ((loopMs % cfg.LOOP_DURATION_MS) + cfg.LOOP_DURATION_MS) % cfg.LOOP_DURATION_MS;
+      this._motionLoopMs = loopT;
+
+      // Base loop angle + optional global start offset
+      const baseTheta = (loopT / cfg.LOOP_DURATION_MS) * TAU + (this._startPhase || 0);
+
+      // Keep old variable name alive for global/bg drift code:
+      const theta = baseTheta;
+
+      // Global drift (unchanged, now uses `theta`)
+      const minDim = Math.max(1, Math.min(this.width, this.height));
+      const globalAmp = cfg.GLOBAL_DRIFT_RATIO * minDim;
+      this._globalOffsetX = globalAmp * Math.sin(theta);
+      this._globalOffsetY = globalAmp * Math.cos(theta + 1.2);
+
+      // Background drift (unchanged, now uses `theta`)
+      const bgMagnitude = cfg.BG_DRIFT_RATIO * minDim;
+      const bgPhase = theta * cfg.BG_DRIFT_SPEED_MULT + cfg.BG_DRIFT_PHASE;
+      this._bgOffsetX = this._bgDirX * bgMagnitude * Math.sin(bgPhase);
+      this._bgOffsetY = this._bgDirY * bgMagnitude * Math.sin(bgPhase);
+
+      // Moving nodes follow their band's orbit
+      const orbits = this._orbitsAt(loopT, this._bandOrbits || (this._bandOrbits = []));
+      const signal = this._signal && this._signal.active;  // a signal swells the orbits (not loop-exact)
+      for (let i = 0; i < this.nodes.length; i++) {
+        if (!this.movingFlags[i]) continue;
+        const swell = signal ? 1 + cfg.SIGNAL_ORBIT * this._nodeSignal(i) : 1;
+        this._orbitPosition(i, orbits[this.nodeBands[i]], swell, this.nodes[i]);
+      }
+      // (Optional) Reset pulses at loop seam if needed for continuity
+      // const wrapped = theta < (this._lastTheta || 0);
+      // if (wrapped) { this.pulsesLen = 0; this._lastPulseSpawn = now; }
+      // this._lastTheta = theta;
+    }
+
+    // Each band's orbit at a loop time: its path angle, radii and the context its motion path
+    // gets. Integer cycles (checked in resolveConfig) and loop-safe paths (checked in
+    // registerMotionPath) bring every node back to its start at the loop seam.
+    _orbitsAt(loopT, orbits) {
+      const cfg = this.config;
+      const TAU = Math.PI * 2;
+      const baseTheta = (loopT / cfg.LOOP_DURATION_MS) * TAU + (this._startPhase || 0);
+      const baseScale = Math.max(1, Math.min(this.width, this.height)) / 900;
+      const bands = cfg.PARALLAX_BANDS;
+      orbits.length = bands.length;
+      for (let k = 0; k < bands.length; k++) {
+        const band = bands[k];
+        const phi = band.headingRad || 0;
+        orbits[k] = {
+          angle: baseTheta * (band.cycles ?? 1) * (band.direction < 0 ? -1 : 1) + (band.phaseTurns || 0) * TAU,
+          rx: (band.radiusX || 0) * baseScale,
+          ry: (band.radiusY || 0) * baseScale,
+          // Path context
+          options: band.pathOptions || {},
+          cosPhi: Math.cos(phi), sinPhi: Math.sin(phi),
+          width: this.width, height: this.height,
+          seed: this._seed,
+          curlWaves: this._curlWaves || (this._curlWaves = curlWaves(this._seed))
+        };
+      }
+      return orbits;
+    }
+
+    // Moving node i on orbit `o`: its motion path around the origin, scaled by the band's radii
+    // (times `swell`) and turned to its heading. Writes x/y into `out` and nothing else.
+    _orbitPosition(i, o, swell, out) {
+      const n = this.nodes[i];
+      const off = this._pathOffset || (this._pathOffset = { x: 0, y: 0 });
+      this.nodePaths[i](o.angle, n, off, o);
+      const xOff = o.rx * off.x * swell;
+      const yOff = o.ry * off.y * swell;
+      out.x = n.ox + o.cosPhi * xOff - o.sinPhi * yOff;
+      out.y = n.oy + o.sinPhi * xOff + o.cosPhi * yOff;
+    }
+
+    _updatePulses(dt_ms, now) {
+      const cfg = this.config;
+      const activity = this._activity;
+      this._decayFlashes(dt_ms);
+
+      // Spawn pulses at intervals along dynamic links (or follow the loop schedule)
+      if (cfg.PULSE_MODE === 'loop') {
+        this._syncScheduledPulses(now - this._loopStart);
+        this._emitScheduledPulses(now - this._loopStart);
+      } else if (now - this._lastPulseSpawn >= activity.spawnEveryMs * this._signalSpawnScale() &&
+        this._ambientPulses() < activity.maxActive) {
+        let linkIndex = this._randomSpawnLink();
+        // With a signal, the loudest of a few candidates wins
+        if (linkIndex !== -1 && this._signal.active && cfg.SIGNAL_SPAWN > 0) {
+          for (let k = 0; k < 2; k++) {
+            const alt = this._randomSpawnLink();
+            if (this._linkSignal(alt) > this._linkSignal(linkIndex)) linkIndex = alt;
+          }
+        }
+        if (linkIndex !== -1) {
+          this._spawnPulse(linkIndex, 1);
+          this._lastPulseSpawn = now;
+        }
+      }
+
+      // Advance pulses along their links (scheduled ones are positioned by loop time instead)
+      const tInc = activity.speed * (dt_ms / 1000);
+      const arrivals = [];
+      let j = 0;
+      for (let i = 0; i < this.pulsesLen; i++) {
+        const p = this.pulses[i];
+        if (p.scheduled) {
+          this.pulses[j++] = p;
+          continue;
+        }
+        if (!p.active) continue;
+        p.t += tInc / p.dist;
+        if (p.t >= 1) {
+          arrivals.push({ linkIndex: p.linkIndex, dir: p.dir, energy: p.energy, hop: p.hop, fired: p.fired });
+          this.pulsePool.release(p);
+        } else {
+          this.pulses[j++] = p;
+        }
+      }
+      this.pulsesLen = j;
+      for (const arrival of arrivals) {
+        const node = this._pulseTarget(arrival);
+        this.nodes[node].flash = 1;
+        if (this._events.has('pulse:arrive')) this._events.emit('pulse:arrive', this._pulseDetail(arrival));
+        for (const next of this._cascadeFrom(arrival, this._pulseRng)) {
+          this._spawnPulse(next.linkIndex, next.dir, next.energy, next.hop, arrival.fired);
+        }
+      }
     }
 
-    _update(dt_ms, now) {
-      const TAU = Math.PI * 2;
+    _randomSpawnLink() {
+      if (this.dynamicLinks.length > 0) return this.dynamicLinks[(this._pulseRng() * this.dynamicLinks.length) | 0];
+      if (this.links.length > 0) return (this._pulseRng() * this.links.length) | 0;
+      return -1;
+    }
 
-      // Base loop angle + optional global start offset
-      const baseTheta =
-        (((now - this._loopStart) % CONFIG.LOOP_DURATION_MS) / CONFIG.LOOP_DURATION_MS) * TAU
-        + (this._startPhase || 0);
+    // Pulses the ambient spawner counts against its cap (fire() and click bursts don't)
+    _ambientPulses() {
+      let count = 0;
+      for (let i = 0; i < this.pulsesLen; i++) {
+        if (!this.pulses[i].fired) count++;
+      }
+      return count;
+    }
 
-      // Keep old variable name alive for global/bg drift code:
-      const theta = baseTheta;
+    // Ease the activity level toward its target and blend the idle/busy presets for it
+    _stepActivity(dt_ms) {
+      const cfg = this.config;
+      const a = this._activity;
+      if (a.level !== a.target) {
+        a.level += (a.target - a.level) * (1 - Math.exp(-dt_ms / Math.max(1, cfg.ACTIVITY_RAMP_MS)));
+        if (Math.abs(a.target - a.level) < 1e-3) a.level = a.target;
+      }
+      const idle = cfg.ACTIVITY_IDLE, busy = cfg.ACTIVITY_BUSY;
+      const mix = key => (idle[key] ?? 1) + ((busy[key] ?? 1) - (idle[key] ?? 1)) * a.level;
+      a.spawnEveryMs = cfg.PULSE_SPAWN_EVERY_MS * mix('spawnEvery');
+      a.maxActive = Math.round(this.pulseMaxActive * mix('maxActive'));
+      a.speed = cfg.PULSE_SPEED * mix('speed');
+      a.brightness = mix('brightness');
+    }
 
-      // Per-layer angles (carry cycles, direction, and layer offsets)
-      const nearTheta = baseTheta * (CONFIG.ELLIPSE_NEAR_CYCLES || 1) * (CONFIG.ELLIPSE_NEAR_DIRECTION || 1)
-        + (CONFIG.NEAR_PHASE_OFFSET_TURNS || 0) * TAU;
+    _spawnPulse(linkIndex, dir = 1, energy = 1, hop = 0, fired = false) {
+      const L = this.links[linkIndex];
+      const a = this.nodes[L.ai], b = this.nodes[L.bi];
+      const p = this.pulsePool.get();
+      p.linkIndex = linkIndex;
+      p.dir = dir;
+      p.energy = energy;
+      p.hop = hop;
+      p.fired = fired;
+      p.dist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+      p.t = 0;
+      p.active = true;
+      this.pulses[this.pulsesLen++] = p;
+      if (this._events.has('pulse:spawn')) this._events.emit('pulse:spawn', this._pulseDetail(p));
+      return p;
+    }
 
-      const midTheta = baseTheta * (CONFIG.ELLIPSE_MID_CYCLES || 1) * (CONFIG.ELLIPSE_MID_DIRECTION || 1)
-        + (CONFIG.MID_PHASE_OFFSET_TURNS || 0) * TAU;
+    // Event detail for a pulse (or arrival, or schedule entry): its link and the node ids it runs between
+    _pulseDetail(p) {
+      const L = this.links[p.linkIndex];
+      const from = p.dir < 0 ? L.bi : L.ai, to = p.dir < 0 ? L.ai : L.bi;
+      return { linkIndex: p.linkIndex, from: this.nodes[from].id, to: this.nodes[to].id, energy: p.energy, hop: p.hop };
+    }
 
-      // Precompute layer trig for this frame
-      const cosNear = Math.cos(nearTheta), sinNear = Math.sin(nearTheta);
-      const cosMid = Math.cos(midTheta), sinMid = Math.sin(midTheta);
+    // Node a pulse is heading to: bi for a->b pulses, ai for b->a
+    _pulseTarget(p) {
+      const L = this.links[p.linkIndex];
+      return p.dir < 0 ? L.ai : L.bi;
+    }
 
-      // Global drift (unchanged, now uses `theta`)
-      const minDim = Math.max(1, Math.min(this.width, this.height));
-      const globalAmp = CONFIG.GLOBAL_DRIFT_RATIO * minDim;
-      this._globalOffsetX = globalAmp * Math.sin(theta);
-      this._globalOffsetY = globalAmp * Math.cos(theta + 1.2);
+    // Continuations of a pulse that arrived at its target: with CASCADE_PROBABILITY, up to
+    // CASCADE_BRANCHES pulses leave along the node's other links with decayed energy
+    _cascadeFrom(p, rng) {
+      const cfg = this.config;
+      const energy = p.energy * cfg.CASCADE_DECAY;
+      if (p.hop >= cfg.CASCADE_MAX_HOPS || energy < cfg.CASCADE_MIN_ENERGY) return [];
+      if (!(rng() < cfg.CASCADE_PROBABILITY)) return [];
+      const node = this._pulseTarget(p);
+      const exits = shuffleArray(this.adjacency[node].filter(idx => idx !== p.linkIndex && this._canLeave(idx, node)), rng);
+      return exits.slice(0, Math.max(0, cfg.CASCADE_BRANCHES)).map(linkIndex => ({
+        linkIndex,
+        dir: this.links[linkIndex].ai === node ? 1 : -1,
+        energy,
+        hop: p.hop + 1
+      }));
+    }
 
-      // Background drift (unchanged, now uses `theta`)
-      const bgMagnitude = CONFIG.BG_DRIFT_RATIO * minDim;
-      const bgPhase = theta * CONFIG.BG_DRIFT_SPEED_MULT + CONFIG.BG_DRIFT_PHASE;
-      this._bgOffsetX = this._bgDirX * bgMagnitude * Math.sin(bgPhase);
-      this._bgOffsetY = this._bgDirY * bgMagnitude * Math.sin(bgPhase);
+    // Pulses may leave `node` along any undirected link, but only forward along directed ones
+    _canLeave(linkIndex, node) {
+      const L = this.links[linkIndex];
+      return !L.directed || L.ai === node;
+    }
 
-      // Moving nodes: elliptical motion around origin (per layer)
-      const baseScale = minDim / 900;
-      // Precompute cos/sin for near and mid layer cycle frequencies
-      // Orientation angles for ellipse paths
-      const nearPhi = CONFIG.PARALLAX_BANDS[0].headingRad || 0;
-      const cosPhiNear = Math.cos(nearPhi), sinPhiNear = Math.sin(nearPhi);
-      const midPhi = CONFIG.PARALLAX_BANDS[1].headingRad || 0;
-      const cosPhiMid = Math.cos(midPhi), sinPhiMid = Math.sin(midPhi);
-      // Scaled ellipse radii (proportional to viewport size)
-      const nearRadiusX = (CONFIG.ELLIPSE_RADIUS_NEAR_X || 0) * baseScale;
-      const nearRadiusY = (CONFIG.ELLIPSE_RADIUS_NEAR_Y || 0) * baseScale;
-      const midRadiusX = (CONFIG.ELLIPSE_RADIUS_MID_X || 0) * baseScale;
-      const midRadiusY = (CONFIG.ELLIPSE_RADIUS_MID_Y || 0) * baseScale;
+    // Arrival flashes fade linearly over NODE_FLASH_MS
+    _decayFlashes(dt_ms) {
+      const step = dt_ms / Math.max(1, this.config.NODE_FLASH_MS);
       for (let i = 0; i < this.nodes.length; i++) {
-        if (!this.movingFlags[i]) continue;
         const n = this.nodes[i];
+        if (n.flash > 0) n.flash = Math.max(0, n.flash - step);
+      }
+    }
 
-        // (optional micro-opt: cache these on the node at setup)
-        const cosSeed = Math.cos(n.seedPhase);
-        const sinSeed = Math.sin(n.seedPhase);
-
-        if (n.z < (CONFIG.PARALLAX_BANDS[1].zMin || 0.35)) {
-          // NEAR
-          const c = cosNear * cosSeed - sinNear * sinSeed;
-          const s = sinNear * cosSeed + cosNear * sinSeed;
-          const xOff = nearRadiusX * c;
-          const yOff = nearRadiusY * s;
-          const rotX = cosPhiNear * xOff - sinPhiNear * yOff;
-          const rotY = sinPhiNear * xOff + cosPhiNear * yOff;
-          n.x = n.ox + rotX;
-          n.y = n.oy + rotY;
-        } else {
-          // MID
-          const c = cosMid * cosSeed - sinMid * sinSeed;
-          const s = sinMid * cosSeed + cosMid * sinSeed;
-          const xOff = midRadiusX * c;
-          const yOff = midRadiusY * s;
-          const rotX = cosPhiMid * xOff - sinPhiMid * yOff;
-          const rotY = sinPhiMid * xOff + cosPhiMid * yOff;
-          n.x = n.ox + rotX;
-          n.y = n.oy + rotY;
+    // ---------------- Loop-periodic pulses (PULSE_MODE: 'loop') ----------------
+    // Spawn slots are spread evenly over the loop and their links picked from a seeded stream,
+    // so the schedule only depends on loop time. Each pulse's travel time is fixed from its
+    // link length at spawn time, and positions are taken modulo the loop, so a pulse that is
+    // in flight at the seam simply carries on from the start of the next loop. Cascades are
+    // expanded here too (from the same stream), starting when their parent arrives.
+    _getPulseSchedule() {
+      const cfg = this.config;
+      const key = [this._seed, cfg.LOOP_DURATION_MS, cfg.PULSE_SPAWN_EVERY_MS, cfg.PULSE_SPEED, this.pulseMaxActive,
+        cfg.CASCADE_PROBABILITY, cfg.CASCADE_BRANCHES, cfg.CASCADE_DECAY, cfg.CASCADE_MAX_HOPS, cfg.CASCADE_MIN_ENERGY].join('|');
+      const cached = this._pulseSchedule;
+      if (cached && cached.links === this.links && cached.key === key) return cached;
+
+      const loop = cfg.LOOP_DURATION_MS;
+      const candidates = this.dynamicLinks.length ? this.dynamicLinks : this.links.map((_, i) => i);
+      const slots = Math.max(1, Math.round(loop / Math.max(1, cfg.PULSE_SPAWN_EVERY_MS)));
+      const rng = createRng(deriveSeed(this._seed, 'pulse-schedule'));
+      // Link length where the pulse actually starts, from the orbits at that time (scratch
+      // positions, so the live nodes keep their place and any pointer displacement)
+      const orbits = [];
+      const a = { x: 0, y: 0 }, b = { x: 0, y: 0 };
+      const place = (i, out) => {
+        if (this.movingFlags[i]) this._orbitPosition(i, orbits[this.nodeBands[i]], 1, out);
+        else { out.x = this.nodes[i].ox; out.y = this.nodes[i].oy; }
+      };
+      const entry = (start, linkIndex, dir, energy, hop) => {
+        this._orbitsAt(start % loop, orbits);
+        const L = this.links[linkIndex];
+        place(L.ai, a);
+        place(L.bi, b);
+        const dist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+        const duration = Math.min(loop, dist / Math.max(1e-6, cfg.PULSE_SPEED) * 1000);
+        return { start, duration, linkIndex, dist, dir, energy, hop };
+      };
+      const roots = [];
+      const entries = [];
+      for (let k = 0; k < slots && candidates.length; k++) {
+        const root = entry(k * loop / slots, candidates[(rng() * candidates.length) | 0], 1, 1, 0);
+        roots.push(root);
+        if (!this._scheduleFits(roots, loop)) {
+          roots.pop();
+          continue;
+        }
+        // Only roots count against the ambient cap; cascades ride on top, as in free mode
+        const queue = [root];
+        while (queue.length) {
+          const parent = queue.shift();
+          entries.push(parent);
+          for (const next of this._cascadeFrom(parent, rng)) {
+            queue.push(entry(parent.start + parent.duration, next.linkIndex, next.dir, next.energy, next.hop));
+          }
         }
       }
-      // (Optional) Reset pulses at loop seam if needed for continuity
-      // const wrapped = theta < (this._lastTheta || 0);
-      // if (wrapped) { this.pulsesLen = 0; this._lastPulseSpawn = now; }
-      // this._lastTheta = theta;
+      this._pulseSchedule = { key, links: this.links, loop, entries };
+      return this._pulseSchedule;
+    }
 
-      // Spawn pulses at intervals along dynamic links
-      if (now - this._lastPulseSpawn >= CONFIG.PULSE_SPAWN_EVERY_MS &&
-        this.pulsesLen < this.pulseMaxActive) {
-        const p = this.pulsePool.get();
-        if (this.dynamicLinks.length > 0) {
-          p.linkIndex = this.dynamicLinks[(Math.random() * this.dynamicLinks.length) | 0];
-        } else if (this.links.length > 0) {
-          p.linkIndex = (Math.random() * this.links.length) | 0;
-        } else {
-          p.linkIndex = -1;
-        }
-        if (p.linkIndex !== -1) {
-          const L = this.links[p.linkIndex];
-          const ai = L.ai, bi = L.bi;
-          const ax = this.nodes[ai].x;
-          const ay = this.nodes[ai].y;
-          const bx = this.nodes[bi].x;
-          const by = this.nodes[bi].y;
-          p.dist = Math.max(1, Math.hypot(bx - ax, by - ay));
-          p.t = 0;
-          p.active = true;
-          this.pulses[this.pulsesLen++] = p;
-          this._lastPulseSpawn = now;
-        } else {
-          this.pulsePool.release(p);
+    // Occupancy never exceeds pulseMaxActive at any point of the (wrapping) loop; the count
+    // only rises at a start time, so checking every start is enough
+    _scheduleFits(entries, loop, cap = this.pulseMaxActive) {
+      for (const at of entries) {
+        let inFlight = 0;
+        for (const e of entries) {
+          if ((((at.start - e.start) % loop) + loop) % loop < e.duration) inFlight++;
         }
+        if (inFlight > cap) return false;
       }
+      return true;
+    }
 
-      // Advance pulses along their links
-      const tInc = CONFIG.PULSE_SPEED * (dt_ms / 1000);
+    _syncScheduledPulses(loopMs) {
+      const schedule = this._getPulseSchedule();
+      const loop = schedule.loop;
+      const loopT = ((loopMs % loop) + loop) % loop;
+
+      // Keep any free-running pulses, then re-derive the scheduled ones for this instant
       let j = 0;
       for (let i = 0; i < this.pulsesLen; i++) {
         const p = this.pulses[i];
-        if (!p.active) continue;
-        p.t += tInc / p.dist;
-        if (p.t >= 1) {
-          this.pulsePool.release(p);
-        } else {
-          this.pulses[j++] = p;
-        }
+        if (p.scheduled) this.pulsePool.release(p);
+        else this.pulses[j++] = p;
       }
       this.pulsesLen = j;
+      const flashMs = this.config.NODE_FLASH_MS;
+      for (const e of schedule.entries) {
+        // Arrival flash, also a function of loop time
+        const since = (((loopT - e.start - e.duration) % loop) + loop) % loop;
+        if (since < flashMs) {
+          const n = this.nodes[this._pulseTarget(e)];
+          n.flash = Math.max(n.flash, 1 - since / flashMs);
+        }
+        const elapsed = (((loopT - e.start) % loop) + loop) % loop;
+        if (elapsed >= e.duration) continue;
+        const p = this.pulsePool.get();
+        p.linkIndex = e.linkIndex;
+        p.dir = e.dir;
+        p.energy = e.energy;
+        p.hop = e.hop;
+        p.dist = e.dist;
+        p.t = elapsed / e.duration;
+        p.active = true;
+        p.scheduled = true;
+        this.pulses[this.pulsesLen++] = p;
+      }
+    }
+
+    // Loop-mode pulses are re-derived from loop time each step, so their spawn and arrive events
+    // come from the schedule instants crossed since the previous step
+    _emitScheduledPulses(loopMs) {
+      const prev = this._scheduleEventMs;
+      this._scheduleEventMs = loopMs;
+      const spawn = this._events.has('pulse:spawn'), arrive = this._events.has('pulse:arrive');
+      if (!(spawn || arrive) || prev === null || loopMs <= prev) return;
+      const schedule = this._getPulseSchedule();
+      const loop = schedule.loop;
+      if (loopMs - prev >= loop) return;
+      const crossed = t => Math.floor((loopMs - t) / loop) > Math.floor((prev - t) / loop);
+      for (const e of schedule.entries) {
+        if (spawn && crossed(e.start)) this._events.emit('pulse:spawn', this._pulseDetail(e));
+        if (arrive && crossed(e.start + e.duration)) this._events.emit('pulse:arrive', this._pulseDetail(e));
+      }
+    }
+
+    // ---------------- Layer pulses (static network + background wiring) ----------------
+    // The static and bg canvases are cached, so their pulses live on the overlay canvas, which
+    // is cleared and redrawn every frame. Each layer has its own rate, speed, size and cap;
+    // a pulse's linkIndex points into that layer's own link list.
+    _initLayerPulses() {
+      this._layerPulses = {};
+      for (const name of ['static', 'bg']) {
+        this._layerPulses[name] = { list: [], links: null, last: 0, schedule: null, rng: createRng(deriveSeed(this._seed, `${name}-pulses`)) };
+      }
+    }
+
+    _clearLayerPulses(state) {
+      for (const p of state.list) this.pulsePool.release(p);
+      state.list.length = 0;
+    }
+
+    _layerPulseSpec(name) {
+      const cfg = this.config;
+      const P = name === 'bg' ? 'BG' : 'STATIC';
+      return {
+        max: cfg[`${P}_PULSE_MAX_ACTIVE`],
+        every: cfg[`${P}_PULSE_SPAWN_EVERY_MS`],
+        speed: cfg[`${P}_PULSE_SPEED`],
+        radius: cfg[`${P}_PULSE_RADIUS`],
+        links: name === 'bg' ? this.bgLinks : this.staticLinks
+      };
+    }
+
+    // Endpoints of a layer's k-th link (bg links index bgNodes, static ones go through links)
+    _layerLinkEnds(name, k) {
+      if (name === 'bg') {
+        const L = this.bgLinks[k];
+        return [this.bgNodes[L.ai], this.bgNodes[L.bi]];
+      }
+      const L = this.links[this.staticLinks[k]];
+      return [this.nodes[L.ai], this.nodes[L.bi]];
+    }
+
+    _updateLayerPulses(dt_ms, now) {
+      const loopMode = this.config.PULSE_MODE === 'loop';
+      for (const name of ['static', 'bg']) {
+        const state = this._layerPulses[name];
+        const spec = this._layerPulseSpec(name);
+        if (state.links !== spec.links) {
+          // Links were rebuilt; indices no longer mean anything
+          this._clearLayerPulses(state);
+          state.links = spec.links;
+        }
+        if (loopMode) {
+          this._syncLayerPulses(name, now - this._loopStart);
+          continue;
+        }
+        let j = 0;
+        for (const p of state.list) {
+          p.t += spec.speed * (dt_ms / 1000) / p.dist;
+          if (p.t >= 1) this.pulsePool.release(p);
+          else state.list[j++] = p;
+        }
+        state.list.length = j;
+        if (now - state.last >= spec.every && j < spec.max && spec.links.length) {
+          const p = this.pulsePool.get();
+          p.linkIndex = (state.rng() * spec.links.length) | 0;
+          const [a, b] = this._layerLinkEnds(name, p.linkIndex);
+          p.dist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+          p.active = true;
+          state.list.push(p);
+          state.last = now;
+        }
+      }
+    }
+
+    // Same scheme as _getPulseSchedule; static and bg links don't move, so no motion lookups
+    _getLayerPulseSchedule(name) {
+      const cfg = this.config;
+      const state = this._layerPulses[name];
+      const spec = this._layerPulseSpec(name);
+      const key = [this._seed, cfg.LOOP_DURATION_MS, spec.every, spec.speed, spec.max].join('|');
+      const cached = state.schedule;
+      if (cached && cached.links === spec.links && cached.key === key) return cached;
+
+      const loop = cfg.LOOP_DURATION_MS;
+      const slots = Math.max(1, Math.round(loop / Math.max(1, spec.every)));
+      const rng = createRng(deriveSeed(this._seed, `${name}-pulse-schedule`));
+      const entries = [];
+      for (let k = 0; k < slots && spec.links.length && spec.max > 0; k++) {
+        const linkIndex = (rng() * spec.links.length) | 0;
+        const [a, b] = this._layerLinkEnds(name, linkIndex);
+        const dist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+        const duration = Math.min(loop, dist / Math.max(1e-6, spec.speed) * 1000);
+        entries.push({ start: k * loop / slots, duration, linkIndex, dist });
+        if (!this._scheduleFits(entries, loop, spec.max)) entries.pop();
+      }
+      state.schedule = { key, links: spec.links, loop, entries };
+      return state.schedule;
+    }
+
+    _syncLayerPulses(name, loopMs) {
+      const state = this._layerPulses[name];
+      const schedule = this._getLayerPulseSchedule(name);
+      const loop = schedule.loop;
+      const loopT = ((loopMs % loop) + loop) % loop;
+      this._clearLayerPulses(state);
+      for (const e of schedule.entries) {
+        const elapsed = (((loopT - e.start) % loop) + loop) % loop;
+        if (elapsed >= e.duration) continue;
+        const p = this.pulsePool.get();
+        p.linkIndex = e.linkIndex;
+        p.dist = e.dist;
+        p.t = elapsed / e.duration;
+        p.active = true;
+        p.scheduled = true;
+        state.list.push(p);
+      }
+    }
+
+    // Where each static/bg pulse is drawn this frame, in viewport px with the layer's parallax
+    // offset applied. Brightness follows depth like the layer's nodes, and each pulse is faded
+    // by its own layer's edge fade at its position (the overlay canvas itself is never masked).
+    _layerPulseMarks() {
+      const cfg = this.config;
+      const marks = [];
+      const layers = [
+        ['bg', 'BG', this._globalOffsetX + this._bgOffsetX, this._globalOffsetY + this._bgOffsetY],
+        ['static', 'STATIC', this._globalOffsetX, this._globalOffsetY]
+      ];
+      for (const [name, fadeName, ox, oy] of layers) {
+        const spec = this._layerPulseSpec(name);
+        const fade = this._edgeFade(fadeName);
+        for (const p of this._layerPulses[name].list) {
+          const [a, b] = this._layerLinkEnds(name, p.linkIndex);
+          const x = a.x + (b.x - a.x) * p.t;
+          const y = a.y + (b.y - a.y) * p.t;
+          const depth = Math.min(1, this._nodeAlphaForZ((a.z + b.z) * 0.5) / Math.max(1e-6, cfg.BRIGHTNESS_NEAR));
+          const alpha = depth * this._fadeAt(x, y, fade);
+          if (alpha <= 0.005) continue;
+          marks.push({ fromX: a.x + ox, fromY: a.y + oy, x: x + ox, y: y + oy, radius: spec.radius, alpha, progress: p.t });
+        }
+      }
+      return marks;
+    }
+
+    // Value of the _fadeLayer ramp at a point of the layer (1 inside, 0 past the outer radius)
+    _fadeAt(x, y, fade) {
+      if (!fade) return 1;
+      const cx = this.width / 2, cy = this.height / 2;
+      const r = Math.hypot(x - cx, y - cy) / Math.max(1, Math.hypot(cx, cy));
+      if (r <= fade.inner) return 1;
+      if (r >= fade.outer) return 0;
+      return 1 - (r - fade.inner) / (fade.outer - fade.inner);
+    }
+
+    // Pulse glow at (x, y); with PULSE_STYLE 'comet' a tail fades back toward (fromX, fromY),
+    // the end of the link the pulse came from. `progress` along the link picks the ramp color.
+    _drawPulse(ctx, fromX, fromY, x, y, radius, alpha, progress = 0) {
+      const cfg = this.config;
+      const step = this._pulseStep(progress);
+      alpha *= this._zoneAlpha(x, y, cfg.EXCLUSION_PULSE_ALPHA);  // dim inside exclusion zones
+      if (cfg.PULSE_STYLE === 'comet') {
+        const dx = fromX - x, dy = fromY - y;
+        const len = Math.hypot(dx, dy);
+        const tail = Math.min(len, cfg.PULSE_TRAIL_PX);
+        if (tail > 1) {
+          const tx = x + dx / len * tail, ty = y + dy / len * tail;
+          const grad = ctx.createLinearGradient(tx, ty, x, y);
+          grad.addColorStop(0, `rgba(${this.pulseColors[step]}, 0)`);
+          grad.addColorStop(1, `rgba(${this.pulseColors[step]}, ${0.6 * alpha})`);
+          ctx.strokeStyle = grad;
+          ctx.lineWidth = radius;
+          ctx.lineCap = 'round';
+          ctx.beginPath();
+          ctx.moveTo(tx, ty);
+          ctx.lineTo(x, y);
+          ctx.stroke();
+        }
+      }
+      ctx.globalAlpha = alpha;
+      ctx.drawImage(this.pulseSprites[step], x - radius, y - radius, radius * 2, radius * 2);
+      ctx.globalAlpha = 1;
     }
 
     _render() {
+      const cfg = this.config;
       // Apply layer parallax via CSS transforms (global + background drift)
-      this.bg.c.style.transform = `translate(${this._globalOffsetX + this._bgOffsetX}px, ${this._globalOffsetY + this._bgOffsetY}px)`;
-      this.static.c.style.transform = `translate(${this._globalOffsetX}px, ${this._globalOffsetY}px)`;
+      if (this._cssCompositing) {
+        this.bg.c.style.transform = `translate(${this._globalOffsetX + this._bgOffsetX}px, ${this._globalOffsetY + this._bgOffsetY}px)`;
+        this.static.c.style.transform = `translate(${this._globalOffsetX}px, ${this._globalOffsetY}px)`;
+      } else if (this._views) {
+        this._presentViews();
+      }
 
       // Draw dynamic layer (moving links, pulses, nodes)
       const ctx = this.dynamic.ctx;
       ctx.clearRect(0, 0, this.width, this.height);
+      this._renderHook('beforeRender', ctx, 'dynamic');
+
+      // Static/bg pulses go on the overlay, below everything on the dynamic layer
+      const octx = this.overlay.ctx;
+      if (this.overlay !== this.dynamic) octx.clearRect(0, 0, this.width, this.height);
+      for (const m of this._layerPulseMarks()) this._drawPulse(octx, m.fromX, m.fromY, m.x, m.y, m.radius, m.alpha, m.progress);
 
       // Offscreen culling bounds
-      const minX = -CONFIG.CULL_MARGIN, minY = -CONFIG.CULL_MARGIN;
-      const maxX = this.width + CONFIG.CULL_MARGIN, maxY = this.height + CONFIG.CULL_MARGIN;
+      const minX = -cfg.CULL_MARGIN, minY = -cfg.CULL_MARGIN;
+      const maxX = this.width + cfg.CULL_MARGIN, maxY = this.height + cfg.CULL_MARGIN;
       const offsetX = this._globalOffsetX;
       const offsetY = this._globalOffsetY;
+      const brightness = this._activity.brightness;
+      const signal = this._signal.active;
 
       // Dynamic links (connecting any moving node)
+      const batched = cfg.LINK_RENDER_MODE !== 'quality';
+      const zoned = this._zoneRects.length > 0;
+      if (batched) this._beginLinkBatch('dynamic');
       ctx.lineCap = 'round';
       for (let i = 0; i < this.dynamicLinks.length; i++) {
         const idx = this.dynamicLinks[i];
@@ -882,22 +4267,34 @@
         if (bx1 < minX || bx0 > maxX || by1 < minY || by0 > maxY) continue;
         const dist = Math.max(1, Math.hypot(bx - ax, by - ay));
         const zAvg = (this.nodes[ai].z + this.nodes[bi].z) * 0.5;
+        let hover = 1 + cfg.HOVER_BRIGHTEN * Math.max(this.nodes[ai].hl, this.nodes[bi].hl);
+        if (signal) hover += cfg.SIGNAL_LINK_ALPHA * this._linkSignal(idx);
+        const alphaDist = Math.min(1, this._lineAlphaForDist(dist) * hover);
+        const alphaA = this._nodeAlphaForZ(this.nodes[ai].z, this.nodeBands[ai]) * alphaDist;
+        const alphaB = this._nodeAlphaForZ(this.nodes[bi].z, this.nodeBands[bi]) * alphaDist;
+        if (zoned && this._touchesZone(ax, ay, bx, by)) {
+          this._strokeZonedLink(ctx, batched, this.colors.link.dynamic, ax, ay, bx, by, alphaA, alphaB, this._lineWidthForZ(zAvg));
+          continue;
+        }
+        if (batched) {
+          this._batchLink(ax, ay, bx, by, alphaA, alphaB, this._lineWidthForZ(zAvg));
+          continue;
+        }
         ctx.lineWidth = this._lineWidthForZ(zAvg);
-        const alphaDist = this._lineAlphaForDist(dist);
-        const alphaA = this._nodeAlphaForZ(this.nodes[ai].z) * alphaDist;
-        const alphaB = this._nodeAlphaForZ(this.nodes[bi].z) * alphaDist;
         const grad = ctx.createLinearGradient(ax, ay, bx, by);
-        grad.addColorStop(0, `rgba(${this.LINK_RGB}, ${alphaA})`);
-        grad.addColorStop(1, `rgba(${this.LINK_RGB}, ${alphaB})`);
+        grad.addColorStop(0, `rgba(${this.colors.link.dynamic}, ${alphaA})`);
+        grad.addColorStop(1, `rgba(${this.colors.link.dynamic}, ${alphaB})`);
         ctx.strokeStyle = grad;
         ctx.beginPath();
         ctx.moveTo(ax, ay);
         ctx.lineTo(bx, by);
         ctx.stroke();
       }
+      if (batched) this._flushLinkBatch(ctx);
+      this._renderHook('afterLinks', ctx, 'dynamic');
 
       // Mask out dynamic lines behind moving nodes (punch-through circles)
-      if (CONFIG.DYNAMIC_LINE_PUNCH) {
+      if (cfg.DYNAMIC_LINE_PUNCH) {
         ctx.save();
         ctx.globalCompositeOperation = 'destination-out';
         for (let i = 0; i < this.nodes.length; i++) {
@@ -905,7 +4302,7 @@
           const x = this.nodes[i].x + offsetX;
           const y = this.nodes[i].y + offsetY;
           if (x < minX || x > maxX || y < minY || y > maxY) continue;
-          const radius = CONFIG.NODE_RADIUS_BASE * this._nodeScaleForZ(this.nodes[i].z) * CONFIG.PUNCH_THROUGH_RADIUS_SCALE;
+          const radius = cfg.NODE_RADIUS_BASE * this._nodeScaleForZ(this.nodes[i].z, this.nodeBands[i]) * cfg.PUNCH_THROUGH_RADIUS_SCALE;
           ctx.beginPath();
           ctx.arc(x, y, radius, 0, Math.PI * 2);
           ctx.fill();
@@ -914,7 +4311,6 @@
       }
 
       // Pulses (small moving orbs along links)
-      const ps = this.pulseSprite;
       for (let i = 0; i < this.pulsesLen; i++) {
         const p = this.pulses[i];
         const L = this.links[p.linkIndex];
@@ -923,68 +4319,888 @@
         const ay = this.nodes[ai].y + offsetY;
         const bx = this.nodes[bi].x + offsetX;
         const by = this.nodes[bi].y + offsetY;
-        const x = ax + (bx - ax) * p.t;
-        const y = ay + (by - ay) * p.t;
+        const t = p.dir < 0 ? 1 - p.t : p.t;
+        const x = ax + (bx - ax) * t;
+        const y = ay + (by - ay) * t;
         if (x < minX || x > maxX || y < minY || y > maxY) continue;
-        ctx.drawImage(ps, x - ps.width / 2, y - ps.height / 2, ps.width, ps.height);
+        this._drawPulse(ctx, p.dir < 0 ? bx : ax, p.dir < 0 ? by : ay, x, y, cfg.PULSE_RADIUS, p.energy * brightness, p.t);
       }
 
-      // Draw moving nodes on top
+      // Draw moving nodes on top; hovered, flashing or signal-lit static nodes get an extra
+      // glow here since their own layer is cached
       for (let i = 0; i < this.nodes.length; i++) {
-        if (!this.movingFlags[i]) continue;
         const n = this.nodes[i];
+        const glow = signal ? cfg.SIGNAL_GLOW * this._nodeSignal(i) : 0;
+        if (!this.movingFlags[i] && n.hl < 0.01 && n.flash < 0.01 && glow < 0.01) continue;
         const drawX = n.x + offsetX;
         const drawY = n.y + offsetY;
         // Cull by approximate sprite bounds
         if (drawX < minX || drawX > maxX || drawY < minY || drawY > maxY) continue;
-        this._drawNode(ctx, n, drawX, drawY);
-      }
-    }
-  }
-
-  // ----------------- Theme Toggle (Dark/Light) -----------------
-  function initThemeToggle(engine) {
-    const btn = document.getElementById('theme-toggle');
-    const stored = localStorage.getItem('nn-theme');
-    if (stored === 'dark') document.body.dataset.theme = 'dark';
-    else if (stored === 'light') document.body.dataset.theme = 'light';
-    
-    // Ensure engine picks up current theme colors on load (before any clicks)
-    engine.NODE_RGB = readCssRGBTuple('--nn-node-color', engine.NODE_RGB);
-    engine.LINK_RGB = readCssRGBTuple('--nn-link-color', engine.LINK_RGB);
-    engine.PULSE_RGB = readCssRGBTuple('--nn-pulse-color', engine.PULSE_RGB);
-    engine._buildSprites();
-    engine._drawBackground();
-    engine._drawStaticLayer();
-
-    btn.addEventListener('click', () => {
-      const cur = (document.body.dataset.theme === 'dark') ? 'light' : 'dark';
-      document.body.dataset.theme = cur;
-      localStorage.setItem('nn-theme', cur);
-      // Update engine colors & sprites for new theme, then redraw static layers
-      engine.NODE_RGB = readCssRGBTuple('--nn-node-color', engine.NODE_RGB);
-      engine.LINK_RGB = readCssRGBTuple('--nn-link-color', engine.LINK_RGB);
-      engine.PULSE_RGB = readCssRGBTuple('--nn-pulse-color', engine.PULSE_RGB);
-      engine._buildSprites();
-      engine._drawBackground();
-      engine._drawStaticLayer();
+        const hover = cfg.HOVER_BRIGHTEN * n.hl + glow;
+        const layer = this.movingFlags[i] ? 'dynamic' : 'static';
+        this._drawNode(ctx, n, drawX, drawY, this.movingFlags[i] ? brightness + hover : hover, 1, layer, this.nodeBands[i]);
+        // Arrival flash: a brighter, slightly swollen glow that shrinks back as it fades
+        if (n.flash >= 0.01) this._drawNode(ctx, n, drawX, drawY, cfg.NODE_FLASH_GAIN * n.flash, 1 + 0.5 * n.flash, layer, this.nodeBands[i]);
+      }
+      this._renderHook('afterNodes', ctx, 'dynamic');
+
+      // No CSS here: fade the dynamic layer ourselves, and flatten into a canvas target
+      if (!this._cssCompositing) {
+        this._fadeLayer(ctx, this._edgeFade('DYNAMIC'));
+        if (this.output) this._composite(this.output.ctx);
+      }
+    }
+
+    // Render hooks draw in layer space: the cached bg/static layers are shifted as a whole,
+    // the dynamic one is drawn with the global drift already added
+    _renderHook(name, ctx, layer) {
+      if (!this._events.has(name)) return;
+      const dynamic = layer === 'dynamic';
+      this._events.emit(name, ctx, {
+        layer,
+        nodes: layer === 'bg' ? this.bgNodes : this.nodes,
+        moving: layer === 'bg' ? null : this.movingFlags,
+        offsetX: dynamic ? this._globalOffsetX : 0,
+        offsetY: dynamic ? this._globalOffsetY : 0,
+        width: this.width,
+        height: this.height,
+        loopMs: this._motionLoopMs || 0
+      });
+    }
+
+    // Canvas equivalent of the CSS translate() parallax for surface layers; the cached
+    // bg/static pixels are only re-blitted when an offset or the cache itself changed
+    _presentViews() {
+      const bgX = this._globalOffsetX + this._bgOffsetX, bgY = this._globalOffsetY + this._bgOffsetY;
+      const key = `${bgX},${bgY},${this._globalOffsetX},${this._globalOffsetY}`;
+      if (key === this._viewsKey) return;
+      this._viewsKey = key;
+      const dpr = this.dpr;
+      const pairs = [[this._views.bg, this.bg, bgX, bgY], [this._views.static, this.static, this._globalOffsetX, this._globalOffsetY]];
+      for (const [view, layer, ox, oy] of pairs) {
+        view.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        view.ctx.clearRect(0, 0, view.c.width, view.c.height);
+        if (layer === this.bg) this._paintBackground(view.ctx, view.c.width, view.c.height);
+        view.ctx.drawImage(layer.c, ox * dpr, oy * dpr);
+      }
+    }
+  }
+
+  // ----------------- Worker rendering -----------------
+  // Main-thread stand-in for an engine living in a worker. It owns the four DOM canvases
+  // (transferred to the worker with transferControlToOffscreen) and forwards size, DPR,
+  // resolved palette colors, pointer input and start/stop over postMessage. Methods that return
+  // a value run in the worker and return a Promise of its reply instead. Options must be
+  // structured-cloneable.
+  class WorkerEngine {
+    constructor(target, options, workerUrl) {
+      this.container = resolveTarget(target);
+      this._options = options;
+      this.config = resolveConfig(options);
+      const seed = this.config.SEED;
+      this._seed = (seed === null || seed === undefined) ? ((Math.random() * 4294967296) >>> 0) : hashSeed(seed);
+      this._running = false;
+      this._destroyed = false;
+      this._disposers = [];
+      this._events = new EventHub();
+      this._forwarded = new Set();  // event types the worker (or fallback) reports back
+      this._signalSource = null;
+      this._signalState = {};
+      this._signalPumping = false;
+      this._fallback = null;
+      this._graph = null;
+      this._exclusions = null;
+      this._requests = new Map();  // id -> { resolve, reject, local, fromWorker } awaiting an nn:reply
+      this._requestId = 0;
+
+      this._canvases = ['bg', 'static', 'overlay', 'dynamic'].map((name, zIndex) => {
+        const c = document.createElement('canvas');
+        c.style.zIndex = String(zIndex);
+        c.style.position = 'absolute';
+        c.style.left = '0';
+        c.style.top = '0';
+        c.style.pointerEvents = 'none';
+        this.container.appendChild(c);
+        return c;
+      });
+      this._sizeCanvases();
+      const offscreen = this._canvases.map(c => c.transferControlToOffscreen());
+
+      this.worker = new Worker(workerUrl);
+      this.worker.addEventListener('error', (e) => this._fallBack(e));
+      this.worker.addEventListener('message', (e) => {
+        if (!e.data) return;
+        if (e.data.type === 'nn:event') this._events.emit(e.data.event, e.data.detail);
+        else if (e.data.type === 'nn:reply') this._settle(e.data);
+      });
+      this.worker.postMessage({
+        type: 'nn:init',
+        canvases: { bg: offscreen[0], static: offscreen[1], overlay: offscreen[2], dynamic: offscreen[3] },
+        width: this.container.clientWidth,
+        height: this.container.clientHeight,
+        dpr: window.devicePixelRatio || 1,
+        options: { ...options, seed: this._seed },
+        colors: this._resolveColors()
+      }, offscreen);
+      this._applyBackgroundStyle();
+      this._unwatchTheme = watchTheme(() => this.refreshColors(this.config.THEME_FADE_MS));
+
+      this._onResize = () => {
+        if (this._fallback) return;
+        this._sizeCanvases();
+        if (this._exclusions) this._sendExclusions(false);  // ahead of the resize that places nodes
+        this.worker.postMessage({
+          type: 'nn:resize',
+          width: this.container.clientWidth,
+          height: this.container.clientHeight,
+          dpr: window.devicePixelRatio || 1
+        });
+      };
+      window.addEventListener('resize', this._onResize, { passive: true });
+      this._unwatchPointer = null;
+      this._bindPointer(this.config.INTERACTION);
+    }
+
+    // The worker has no DOM events, so pointer input is read here and posted to it
+    _bindPointer(enabled) {
+      if (this._unwatchPointer) {
+        this._unwatchPointer();
+        this._unwatchPointer = null;
+      }
+      if (enabled && !this._fallback) this._unwatchPointer = watchPointer(this.container, (kind, x, y) => this._send('nn:pointer', { kind, x, y }));
+    }
+
+    // CSS size only; the worker owns the backing store size
+    _sizeCanvases() {
+      for (const c of this._canvases) {
+        c.style.width = this.container.clientWidth + 'px';
+        c.style.height = this.container.clientHeight + 'px';
+      }
+    }
+
+    // Palettes read the page's CSS, so they are resolved here and the worker gets the result
+    _resolveColors() {
+      this._themeName = resolveThemeName(this.config);
+      this._colors = resolvePalette(this.config, this._themeName);
+      return this._colors;
+    }
+
+    // The container is DOM, so its background is set from here (without the crossfade)
+    _applyBackgroundStyle() {
+      const css = backgroundCss(this._colors.background);
+      if (css || this._ownsBackground) this.container.style.background = css;
+      this._ownsBackground = !!css;
+    }
+
+    // A worker that fails to load or throws gets replaced by a main-thread engine in the same container
+    _fallBack(err) {
+      if (this._fallback || this._destroyed) return;
+      console.warn('NNAnimation: worker rendering failed, falling back to the main thread', err && err.message);
+      this.worker.terminate();
+      this._unwatchTheme();  // the main-thread engine watches the theme (and the pointer) itself
+      this._bindPointer(false);
+      for (const c of this._canvases) c.remove();
+      this._fallback = new NeuralNetworkEngine(this.container, { ...this._options, seed: this._seed });
+      this._forwarded.clear();
+      this._forwardEvents();
+      if (this._signalSource) this._fallback.setSignal(this._signalSource);
+      if (this._graph) this._fallback.importGraph(this._graph, { config: false });
+      if (this._exclusions) this._sendExclusions(true);
+      if (this._running) this._fallback.start();
+      // Calls the worker never answered are answered by the fallback engine instead
+      for (const request of this._requests.values()) this._answerLocally(request);
+      this._requests.clear();
+    }
+
+    _send(type, payload) {
+      if (!this._fallback) this.worker.postMessage({ type, ...payload });
+    }
+
+    // Round trip for a method that returns a value: a Promise of the worker engine's result
+    // (passed through fromWorker), or of the fallback engine's once it runs on the main thread
+    _call(method, args = [], fromWorker = value => value) {
+      if (this._destroyed) return Promise.reject(new Error('This engine has been destroyed'));
+      return new Promise((resolve, reject) => {
+        const request = { resolve, reject, local: engine => engine[method](...args), fromWorker };
+        if (this._fallback) {
+          this._answerLocally(request);
+          return;
+        }
+        const id = ++this._requestId;
+        this._requests.set(id, request);
+        this._send('nn:call', { id, method, args });
+      });
+    }
+    _answerLocally(request) {
+      try {
+        request.resolve(request.local(this._fallback));
+      } catch (err) {
+        request.reject(err);
+      }
+    }
+    _settle(reply) {
+      const request = this._requests.get(reply.id);
+      if (!request) return;
+      this._requests.delete(reply.id);
+      if (reply.error) request.reject(new Error(reply.error));
+      else request.resolve(request.fromWorker(reply.value));
+    }
+
+    start() {
+      if (this._destroyed) return;
+      this._running = true;
+      if (this._fallback) this._fallback.start();
+      else this._send('nn:start');
+    }
+    stop() {
+      this._running = false;
+      if (this._fallback) this._fallback.stop();
+      else this._send('nn:stop');
+    }
+    pause() {
+      this.stop();
+    }
+    resume() {
+      this.start();
+    }
+    get state() {
+      if (this._destroyed) return 'destroyed';
+      return this._running ? 'running' : 'paused';
+    }
+    // For container resizes the window doesn't report (e.g. <nn-network> observing its own box)
+    _requestResize() {
+      if (this._fallback) this._fallback._requestResize();
+      else this._onResize();
+    }
+    // Terminating the worker frees its engine; the DOM side is cleaned up here
+    destroy() {
+      if (this._destroyed) return;
+      this.stop();
+      this._destroyed = true;
+      this._events.dispose();
+      window.removeEventListener('resize', this._onResize);
+      if (this._fallback) this._fallback.destroy();
+      else {
+        this.worker.terminate();
+        this._unwatchTheme();
+        this._bindPointer(false);
+        for (const c of this._canvases) c.remove();
+        if (this._ownsBackground) this.container.style.background = '';
+      }
+      if (this._exclusions) this._exclusions.dispose();
+      this._exclusions = null;
+      for (const request of this._requests.values()) request.reject(new Error('This engine has been destroyed'));
+      this._requests.clear();
+      for (const dispose of this._disposers.splice(0)) dispose();
+    }
+    configure(partial) {
+      const wasInteractive = this.config.INTERACTION;
+      this.config = resolveConfig(partial, this.config);
+      if (partial && partial.seed !== undefined) this._seed = hashSeed(partial.seed);
+      if (this._fallback) this._fallback.configure(partial);
+      else {
+        if (this.config.INTERACTION !== wasInteractive) this._bindPointer(this.config.INTERACTION);
+        this._send('nn:configure', { options: partial });
+        this.refreshColors(this.config.THEME_FADE_MS);  // the worker ignores an unchanged palette
+        if (this._exclusions) this._sendExclusions(false);  // padding/falloff are applied here
+      }
+      return this;
+    }
+    getTheme() {
+      return this._fallback ? this._fallback.getTheme() : this._themeName;
+    }
+    refreshColors(fadeMs = 0) {
+      if (this._fallback) return this._fallback.refreshColors(fadeMs);
+      this._send('nn:colors', { colors: this._resolveColors(), fadeMs });
+      this._applyBackgroundStyle();
+    }
+    getSeed() {
+      return this._seed;
+    }
+    // The worker picks the node, so the pulse count comes back as a Promise
+    fire(target, opts = {}) {
+      return this._call('fire', [target, opts]);
+    }
+    setActivity(level) {
+      return this.configure({ ACTIVITY: clamp(Number(level) || 0, 0, 1) });
+    }
+    getActivity() {
+      return this._call('getActivity');
+    }
+    getQuality() {
+      return this._call('getQuality');
+    }
+    getSignalLevels() {
+      return this._call('getSignalLevels');
+    }
+    toSVG(opts = {}) {
+      return this._call('toSVG', [opts]);
+    }
+    // The worker renders the frame and posts it back as an ImageBitmap, drawn into `out` here
+    renderAt(timeMs, out) {
+      return this._call('renderAt', [timeMs], (bitmap) => {
+        const canvas = out || createCanvas();
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+      });
+    }
+    // Capture needs MediaRecorder and the DOM, which a worker doesn't have
+    async recordLoop(opts = {}) {
+      if (this._fallback) return this._fallback.recordLoop(opts);
+      throw new Error('recordLoop() is unsupported in worker mode (RENDER_IN_WORKER); build the engine without it to record');
+    }
+    // Like any DOM-mounted engine this one follows its container, so only a fallback surface resizes
+    setSize(width, height, dpr) {
+      if (this._fallback) this._fallback.setSize(width, height, dpr);
+    }
+    // Analysers and samplers live on this thread: their raw levels are posted each frame and
+    // smoothed in the worker
+    setSignal(source) {
+      if (source !== null && !isSignalSource(source)) {
+        throw new Error('setSignal() takes an AnalyserNode, a () => number (or number[]) sampler, or null');
+      }
+      this._signalSource = source;
+      if (this._fallback) this._fallback.setSignal(source);
+      else if (!source) this._send('nn:signal', { levels: null });
+      else this._pumpSignal();
+      return this;
+    }
+    _pumpSignal() {
+      if (this._signalPumping) return;
+      this._signalPumping = true;
+      const pump = () => {
+        if (!this._signalSource || this._fallback || this._destroyed) {
+          this._signalPumping = false;
+          return;
+        }
+        if (this._running) this._send('nn:signal', { levels: Array.from(sampleSignal(this._signalSource, this.config, this._signalState)) });
+        nextFrame(pump);
+      };
+      nextFrame(pump);
+    }
+    setSeed(seed) {
+      this._seed = hashSeed(seed);
+      if (this._fallback) this._fallback.setSeed(seed);
+      else this._send('nn:seed', { seed: this._seed });
+    }
+    exportGraph() {
+      return this._call('exportGraph');
+    }
+    // Validated here so a bad graph throws to the caller; its config goes through configure()
+    importGraph(graph, opts = {}) {
+      const parsed = (typeof graph === 'string') ? JSON.parse(graph) : graph;
+      const next = parsed === null ? null : readGraph(parsed);
+      if (next && next.config && opts.config !== false) this.configure(next.config);
+      if (next && next.seed !== null) this._seed = hashSeed(next.seed);
+      this._graph = parsed;
+      if (this._fallback) this._fallback.importGraph(parsed, { config: false });
+      else this._send('nn:graph', { graph: parsed });
+      return this;
+    }
+    // Zones are DOM, so they are tracked here and the worker gets their rects
+    addExclusion(target, opts = {}) {
+      if (!this._exclusions) this._exclusions = new ExclusionZones(this.container, () => this._sendExclusions(false));
+      this._exclusions.add(target, opts);
+      this._sendExclusions(true);
+      return () => this.removeExclusion(target);
+    }
+    removeExclusion(target) {
+      if (!this._exclusions || !this._exclusions.remove(target)) return false;
+      this._sendExclusions(true);
+      return true;
+    }
+    clearExclusions() {
+      if (!this._exclusions) return;
+      this._exclusions.clear();
+      this._sendExclusions(true);
+    }
+    _sendExclusions(replace) {
+      this._exclusions.measure();
+      const rects = this._exclusions.rects(this.config.EXCLUSION_PADDING, this.config.EXCLUSION_FALLOFF);
+      if (this._fallback) this._fallback._setExclusionRects(rects, replace);
+      else this._send('nn:zones', { rects, replace });
+    }
+    // Events fire in the worker and are posted back; render hooks need the canvases, so they
+    // only run once a fallback engine draws on the main thread
+    on(type, fn) {
+      if (RENDER_HOOKS.includes(type) && !this._fallback) warnOnce(`render hook "${type}" does not run in a RENDER_IN_WORKER engine`);
+      const off = this._events.on(type, fn);
+      this._forwardEvents();
+      return off;
+    }
+    off(type, fn) {
+      this._events.off(type, fn);
+    }
+    use(plugin, options = {}) {
+      const remove = this._events.use(this, plugin, options);
+      this._forwardEvents();
+      return remove;
+    }
+    getPlugin(nameOrPlugin) {
+      return this._events.plugin(nameOrPlugin);
+    }
+    _forwardEvents() {
+      const added = this._events.types().filter(type => !this._forwarded.has(type));
+      if (!added.length) return;
+      for (const type of added) {
+        this._forwarded.add(type);
+        if (this._fallback) this._fallback.on(type, (...args) => this._events.emit(type, ...args));
+      }
+      this._send('nn:events', { types: added.filter(type => !RENDER_HOOKS.includes(type)) });
+    }
+  }
+
+  function supportsWorkerRendering() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * Build an engine, off the main thread when RENDER_IN_WORKER is set and the browser
+   * supports OffscreenCanvas (container targets only); otherwise a regular NeuralNetworkEngine.
+   * The worker-backed engine has the same methods, but the ones that return a value (fire,
+   * exportGraph, toSVG, renderAt, getActivity, getQuality, getSignalLevels) return a Promise of
+   * it, renderAt() draws the posted-back frame into a main-thread canvas, recordLoop() rejects
+   * (capture needs the DOM) and setSize() is a no-op (the engine follows its container).
+   * Render hooks only run once it has fallen back to the main thread.
+   */
+  function createEngine(target, options = {}) {
+    const cfg = resolveConfig(options);
+    const workerUrl = cfg.WORKER_URL || api.workerUrl;
+    const el = resolveTarget(target);
+    // A LAYOUT callback can't be posted to the worker, so that engine stays on the main thread
+    if (cfg.RENDER_IN_WORKER && workerUrl && el.tagName !== 'CANVAS' && typeof cfg.LAYOUT !== 'function' &&
+      supportsWorkerRendering()) {
+      return new WorkerEngine(el, options, workerUrl);
+    }
+    return new NeuralNetworkEngine(el, options);
+  }
+
+  /**
+   * Benchmark mode: time link building (foreground and background) at several node counts.
+   * Each count gets a detached engine sized so responsive scaling yields exactly that many
+   * nodes; nothing is mounted or started. Logs a table and returns the rows.
+   * @param {object} [opts]
+   * @param {number[]} [opts.counts]  Node counts to try (used for both node sets)
+   * @param {number} [opts.width]  Scene size in CSS px
+   * @param {number} [opts.height]
+   * @param {number} [opts.runs]  Builds averaged per count
+   * @param {number|string} [opts.seed]
+   * @returns {{nodes: number, links: number, linksMs: number, bgNodes: number, bgLinks: number, bgLinksMs: number}[]}
+   */
+  function benchmarkLinks(opts = {}) {
+    const { counts = [100, 500, 1000, 2000, 5000], width = 2560, height = 1440, runs = 3, seed = 1 } = opts;
+    const time = (fn) => {
+      const t0 = performance.now();
+      for (let i = 0; i < runs; i++) fn();
+      return Math.round((performance.now() - t0) / runs * 100) / 100;
+    };
+    const rows = [];
+    for (const count of counts) {
+      const canvases = { bg: createCanvas(), static: createCanvas(), dynamic: createCanvas() };
+      const engine = new NeuralNetworkEngine({ canvases, width, height, dpr: 1 }, {
+        seed,
+        ADAPTIVE_QUALITY: false,
+        BASE_WIDTH: width,
+        BASE_HEIGHT: height,
+        BASE_NODE_COUNT: count,
+        NODE_COUNT: count,
+        BASE_BG_NODE_COUNT: count,
+        BG_NODE_COUNT: count
+      });
+      const linksMs = time(() => engine._buildLinks());
+      const bgLinksMs = time(() => engine._buildBgLinks());
+      rows.push({
+        nodes: engine.nodes.length,
+        links: engine.links.length,
+        linksMs,
+        bgNodes: engine.bgNodes.length,
+        bgLinks: engine.bgLinks.length,
+        bgLinksMs
+      });
+      engine.destroy();
+    }
+    if (typeof console !== 'undefined') (console.table || console.log)(rows);
+    return rows;
+  }
+
+  /**
+   * Before/after cost of the link pipelines over one seeded scene: the same frames are
+   * simulated and rendered with LINK_RENDER_MODE 'quality' and then 'batched'. Reports the
+   * mean dynamic-frame render time and the static layer redraw time for each. Logs a table
+   * and returns the rows.
+   * @param {object} [opts]
+   * @param {number} [opts.nodes]  Foreground node count
+   * @param {number} [opts.width]  Scene size in CSS px
+   * @param {number} [opts.height]
+   * @param {number} [opts.frames]  Frames rendered per mode
+   * @param {number|string} [opts.seed]
+   * @returns {{mode: string, dynamicLinks: number, frameMs: number, staticLinks: number, staticMs: number}[]}
+   */
+  function benchmarkRender(opts = {}) {
+    const { nodes = 300, width = 1920, height = 1080, frames = 120, seed = 1 } = opts;
+    const canvases = { bg: createCanvas(), static: createCanvas(), overlay: createCanvas(), dynamic: createCanvas() };
+    const engine = new NeuralNetworkEngine({ canvases, width, height, dpr: 1 }, {
+      seed,
+      ADAPTIVE_QUALITY: false,
+      BASE_WIDTH: width,
+      BASE_HEIGHT: height,
+      BASE_NODE_COUNT: nodes,
+      NODE_COUNT: nodes
+    });
+    const dt = engine._dt_ms;
+    const rows = [];
+    for (const mode of ['quality', 'batched']) {
+      engine.configure({ LINK_RENDER_MODE: mode });
+      engine.setSeed(seed);  // same layout and pulse sequence for both passes
+      engine._loopStart = 0;
+      engine._lastPulseSpawn = 0;
+      let renderMs = 0;
+      for (let k = 0; k < frames; k++) {
+        engine._update(dt, k * dt);
+        const t0 = performance.now();
+        engine._render();
+        renderMs += performance.now() - t0;
+      }
+      const t0 = performance.now();
+      for (let k = 0; k < 5; k++) engine._drawStaticLayer();
+      const staticMs = (performance.now() - t0) / 5;
+      rows.push({
+        mode,
+        dynamicLinks: engine.dynamicLinks.length,
+        frameMs: Math.round(renderMs / frames * 1000) / 1000,
+        staticLinks: engine.staticLinks.length,
+        staticMs: Math.round(staticMs * 1000) / 1000
+      });
+    }
+    engine.destroy();
+    if (typeof console !== 'undefined') (console.table || console.log)(rows);
+    return rows;
+  }
+
+  // Worker side of the protocol: installed when this file is the script of a dedicated worker
+  function installWorkerHost(scope) {
+    let engine = null;
+    const applyColors = (colors, fadeMs) => {
+      engine._externalColors = true;
+      engine._setColors(colors, fadeMs);
+    };
+    // What WorkerEngine._call() may run here; renderAt's frame goes back as a transferred ImageBitmap
+    const calls = {
+      exportGraph: () => engine.exportGraph(),
+      toSVG: (opts) => engine.toSVG(opts),
+      fire: (target, opts) => engine.fire(target, opts),
+      getActivity: () => engine.getActivity(),
+      getQuality: () => engine.getQuality(),
+      getSignalLevels: () => engine.getSignalLevels(),
+      renderAt: (timeMs) => engine.renderAt(timeMs).transferToImageBitmap()
+    };
+    // Answer an nn:call with its value (or error message) under the same id
+    const reply = ({ id, method, args }) => {
+      try {
+        if (!Object.prototype.hasOwnProperty.call(calls, method)) throw new Error(`${method}() can't be called in the worker`);
+        const value = calls[method](...args);
+        scope.postMessage({ type: 'nn:reply', id, value }, method === 'renderAt' ? [value] : []);
+      } catch (err) {
+        scope.postMessage({ type: 'nn:reply', id, error: (err && err.message) || String(err) });
+      }
+    };
+    scope.addEventListener('message', (e) => {
+      const msg = e.data;
+      if (!msg || typeof msg.type !== 'string' || !msg.type.startsWith('nn:')) return;
+      if (msg.type === 'nn:init') {
+        engine = new NeuralNetworkEngine(
+          { canvases: msg.canvases, width: msg.width, height: msg.height, dpr: msg.dpr },
+          msg.options
+        );
+        applyColors(msg.colors, 0);
+        return;
+      }
+      if (!engine) return;
+      switch (msg.type) {
+        case 'nn:resize': engine.setSize(msg.width, msg.height, msg.dpr); break;
+        case 'nn:colors': applyColors(msg.colors, msg.fadeMs); break;
+        case 'nn:start': engine.start(); break;
+        case 'nn:stop': engine.stop(); break;
+        case 'nn:configure': engine.configure(msg.options); break;
+        case 'nn:seed': engine.setSeed(msg.seed); break;
+        case 'nn:graph': engine.importGraph(msg.graph, { config: false }); break;
+        case 'nn:zones': engine._setExclusionRects(msg.rects, msg.replace); break;
+        case 'nn:signal': engine._setSignalLevels(msg.levels); break;
+        case 'nn:pointer': engine._pointerInput(msg.kind, msg.x, msg.y); break;
+        case 'nn:call': reply(msg); break;
+        case 'nn:events':
+          for (const type of msg.types) engine.on(type, detail => scope.postMessage({ type: 'nn:event', event: type, detail }));
+          break;
+      }
     });
   }
 
-  // ----------------- Initialize on DOM Ready -----------------
-  document.addEventListener('DOMContentLoaded', () => {
-    const engine = new NeuralNetworkEngine('canvas-container');
-    window.nnEngine = engine; // expose for external tuning if needed
-    initThemeToggle(engine);
-    engine.start();
+  // ----------------- Theme controller -----------------
+  /**
+   * Page-level theme switching. Keeps `<body data-theme>` on the chosen mode (a palette name,
+   * or 'auto' to follow prefers-color-scheme), remembers the mode in localStorage, and wires an
+   * optional toggle button whose label and aria-pressed track the theme the page actually has,
+   * even when a host app sets `data-theme` itself. Engines follow `data-theme` on their own.
+   * @param {object} [opts]
+   * @param {HTMLElement|string|null} [opts.button]  Toggle button or its id (default 'theme-toggle')
+   * @param {string|null} [opts.storageKey]  localStorage key for the mode (default 'nn-theme'; null to not persist)
+   * @param {string} [opts.light]  Palette the button switches to from a dark theme (default 'light')
+   * @param {string} [opts.dark]  Palette the button switches to otherwise (default 'dark')
+   * @returns {{ mode: string, theme: string, set: (mode: string) => void, dispose: () => void }}
+   */
+  function createThemeController(opts = {}) {
+    const { button = 'theme-toggle', storageKey = 'nn-theme', light = 'light', dark = 'dark' } = opts;
+    const btn = (typeof button === 'string') ? document.getElementById(button) : button;
+    const body = document.body;
+    const scheme = matchMedia('(prefers-color-scheme: dark)');
+    let mode = (storageKey && localStorage.getItem(storageKey)) || 'auto';
+
+    // Whether the page is dark is up to its CSS (color-scheme: dark also covers palettes like
+    // 'aurora'); only without a single declared scheme does the palette name decide
+    const isDark = () => {
+      const schemes = String(getComputedStyle(body).colorScheme || '').split(/\s+/);
+      if (schemes.includes('dark') !== schemes.includes('light')) return schemes.includes('dark');
+      return body.dataset.theme === dark;
+    };
+    const label = () => {
+      if (!btn) return;
+      const pressed = isDark();
+      btn.textContent = pressed ? 'Light mode' : 'Dark mode';
+      btn.setAttribute('aria-pressed', String(pressed));
+    };
+    const apply = () => {
+      const theme = (mode === 'auto') ? (scheme.matches ? dark : light) : mode;
+      if (body.dataset.theme !== theme) body.dataset.theme = theme;
+      label();
+    };
+    const onScheme = () => { if (mode === 'auto') apply(); };
+    const onClick = () => controller.set(isDark() ? light : dark);
+    const observer = (typeof MutationObserver !== 'undefined') ? new MutationObserver(label) : null;
+
+    const controller = {
+      get mode() { return mode; },
+      get theme() { return body.dataset.theme; },
+      set(next) {
+        mode = next;
+        if (storageKey) localStorage.setItem(storageKey, next);
+        apply();
+      },
+      dispose() {
+        scheme.removeEventListener('change', onScheme);
+        if (btn) btn.removeEventListener('click', onClick);
+        if (observer) observer.disconnect();
+      }
+    };
+    scheme.addEventListener('change', onScheme);
+    if (btn) btn.addEventListener('click', onClick);
+    if (observer) observer.observe(body, { attributes: true, attributeFilter: ['data-theme'] });
+    apply();
+    return controller;
+  }
+
+  // ----------------- <nn-network> element -----------------
+  // Any config key works as a kebab-case attribute (pulse-max-active="6"; objects and arrays as
+  // JSON), plus `seed`, `paused` and these shorthands
+  const ELEMENT_ATTRIBUTES = {
+    'link-distance': 'MAX_LINK_DISTANCE',
+    'bg-link-distance': 'BG_LINK_MAX_DISTANCE',
+    'palette': 'THEME',
+    'loop-duration': 'LOOP_DURATION_MS'
+  };
+  // Read when the engine is built (createEngine() picks the engine class), so changing one remounts it
+  const ELEMENT_REMOUNT_KEYS = ['RENDER_IN_WORKER', 'WORKER_URL'];
+  const ELEMENT_STYLE = `
+    :host { display: block; position: relative; overflow: hidden; min-height: 150px; }
+    :host([hidden]) { display: none; }
+    .layers { position: absolute; inset: 0; pointer-events: none; }
+  `;
+
+  // [option, value] for an attribute (a removed one resets its option), or null if it maps to none
+  function attributeOption(name, value) {
+    if (name === 'seed') return ['seed', value ?? undefined];
+    const key = ELEMENT_ATTRIBUTES[name] || name.toUpperCase().replace(/-/g, '_');
+    if (!(key in DEFAULT_CONFIG)) return null;
+    const base = DEFAULT_CONFIG[key];
+    if (value === null) return [key, cloneConfigValue(base)];
+    if (typeof base === 'boolean') return [key, value !== 'false'];
+    if (typeof base === 'number') {
+      if (Number.isFinite(Number(value))) return [key, Number(value)];
+      warnOnce(`<nn-network> ${name}="${value}" is not a number; ignored`);
+      return null;
+    }
+    if (typeof base === 'string') return [key, value];
+    try {
+      return [key, JSON.parse(value)];
+    } catch (e) {
+      return [key, value];  // plain strings for keys that default to null (e.g. WORKER_URL)
+    }
+  }
+
+  /**
+   * Register the `<nn-network>` custom element (done automatically on load where custom
+   * elements exist). Each element renders its own engine into shadow DOM, sized to its own box,
+   * and runs only while it is on screen, the tab is visible, reduced motion is off and it has no
+   * `paused` attribute. Attributes map to config keys (see ELEMENT_ATTRIBUTES); the `options`
+   * property takes anything else (e.g. PARALLAX_BANDS) and `engine` exposes the engine (null
+   * once the element has been removed from the document).
+   * @param {string} [tagName]
+   * @returns {CustomElementConstructor|null}  null where custom elements are unsupported
+   */
+  function defineNetworkElement(tagName = 'nn-network') {
+    if (typeof customElements === 'undefined') return null;
+    const existing = customElements.get(tagName);
+    if (existing) return existing;
+
+    class NNNetworkElement extends HTMLElement {
+      static get observedAttributes() {
+        const configAttributes = Object.keys(DEFAULT_CONFIG).map(key => key.toLowerCase().replace(/_/g, '-'));
+        return ['seed', 'paused', ...Object.keys(ELEMENT_ATTRIBUTES), ...configAttributes];
+      }
+
+      constructor() {
+        super();
+        this.engine = null;
+        this._options = {};
+        this._onScreen = true;
+        this._observers = [];
+        this._motion = matchMedia('(prefers-reduced-motion: reduce)');
+        this._onPlayState = () => this._syncPlayState();
+      }
+
+      get options() {
+        return this._options;
+      }
+      set options(value) {
+        const prev = this._options;
+        this._options = { ...value };
+        if (!this.engine) return;
+        if (ELEMENT_REMOUNT_KEYS.some(key => prev[key] !== this._options[key])) this._remount();
+        else this.engine.configure(this._options);
+      }
+
+      connectedCallback() {
+        if (!this.engine) this._mount();
+        if (typeof ResizeObserver !== 'undefined') {
+          const resize = new ResizeObserver(() => this.engine._requestResize());
+          resize.observe(this);
+          this._observers.push(resize);
+        }
+        if (typeof IntersectionObserver !== 'undefined') {
+          const visibility = new IntersectionObserver((entries) => {
+            this._onScreen = entries[entries.length - 1].isIntersecting;
+            this._syncPlayState();
+          });
+          visibility.observe(this);
+          this._observers.push(visibility);
+        }
+        document.addEventListener('visibilitychange', this._onPlayState);
+        this._motion.addEventListener('change', this._onPlayState);
+        this._syncPlayState();
+      }
+
+      // A move (remove + insert in the same task) keeps the engine and its scene; an element
+      // that stays out of the document destroys it and mounts a fresh one if it comes back
+      disconnectedCallback() {
+        for (const observer of this._observers) observer.disconnect();
+        this._observers = [];
+        document.removeEventListener('visibilitychange', this._onPlayState);
+        this._motion.removeEventListener('change', this._onPlayState);
+        this._syncPlayState();
+        queueMicrotask(() => {
+          if (this.isConnected || !this.engine) return;
+          this.engine.destroy();
+          this.engine = null;
+        });
+      }
+
+      attributeChangedCallback(name, oldValue, value) {
+        if (!this.engine || oldValue === value) return;
+        if (name === 'paused') {
+          this._syncPlayState();
+          return;
+        }
+        const option = attributeOption(name, value);
+        if (!option) return;
+        if (ELEMENT_REMOUNT_KEYS.includes(option[0])) this._remount();
+        else this.engine.configure({ [option[0]]: option[1] });
+      }
+
+      _mount() {
+        const root = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = ELEMENT_STYLE;
+        const layers = document.createElement('div');
+        layers.className = 'layers';
+        layers.setAttribute('part', 'layers');
+        root.replaceChildren(style, layers);
+        const options = {};
+        for (const attr of Array.from(this.attributes)) {
+          const option = attributeOption(attr.name, attr.value);
+          if (option) options[option[0]] = option[1];
+        }
+        this.engine = createEngine(layers, { ...options, ...this._options });
+      }
+
+      // A fresh engine (and scene) from the current attributes and options
+      _remount() {
+        this.engine.destroy();
+        this._mount();
+        this._syncPlayState();
+      }
+
+      _syncPlayState() {
+        const play = this.isConnected && this._onScreen && !document.hidden &&
+          !this._motion.matches && !this.hasAttribute('paused');
+        if (play) this.engine.resume();
+        else this.engine.pause();
+      }
+    }
+
+    customElements.define(tagName, NNNetworkElement);
+    return NNNetworkElement;
+  }
+
+  // ----------------- Page bootstrap -----------------
+  // Build an engine with the standard page wiring (theme toggle, reduced motion, tab visibility)
+  // and start it. Used by <script data-nn-autoinit>; bundles call it explicitly if they want it.
+  // engine.destroy() also removes that wiring and disposes the theme controller.
+  function autoInit(target = 'canvas-container', options = {}) {
+    // Theme first, so the engine's first frame already has the page's palette
+    const theme = createThemeController();
+    const engine = createEngine(target, options);
 
     const media = matchMedia('(prefers-reduced-motion: reduce)');
-    if (media.matches) engine.stop();
-    media.addEventListener('change', e => e.matches ? engine.stop() : engine.start());
+    const sync = () => {
+      if (document.hidden || media.matches) engine.pause();
+      else engine.resume();
+    };
+    media.addEventListener('change', sync);
+    document.addEventListener('visibilitychange', sync, { passive: true });
+    engine._disposers.push(() => {
+      media.removeEventListener('change', sync);
+      document.removeEventListener('visibilitychange', sync);
+      theme.dispose();
+    });
+    sync();
+    return engine;
+  }
 
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) engine.stop();
-      else engine.start();
-    }, { passive: true });
-  });
-})();
+  const api = {
+    NeuralNetworkEngine, DEFAULT_CONFIG, createEngine, autoInit, createThemeController, registerMotionPath,
+    defineNetworkElement, benchmarkLinks, benchmarkRender, workerUrl: null
+  };
+
+  if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    installWorkerHost(self);
+  } else {
+    defineNetworkElement();
+  }
+
+  return api;
+});
@@ -0,0 +1,19 @@
+/**
+ * nn-animation-final-prod.mjs — ESM entry point.
+ * Evaluates the UMD build (which always registers globalThis.NNAnimation, also where it
+ * takes its CommonJS branch, as in Node and bundlers) and re-exports it.
+ * Importing never auto-starts an engine; construct one yourself:
+ *   import { NeuralNetworkEngine } from './nn-animation-final-prod.mjs';
+ *   new NeuralNetworkEngine(document.querySelector('#hero'), { seed: 42 }).start();
+ */
+import './nn-animation-final-prod.js';
+
+const api = globalThis.NNAnimation;
+// Worker mode needs a URL for the classic script; import.meta.url is the only way to find it here
+if (!api.workerUrl) api.workerUrl = new URL('./nn-animation-final-prod.js', import.meta.url).href;
+
+export const {
+  NeuralNetworkEngine, DEFAULT_CONFIG, createEngine, autoInit, createThemeController, registerMotionPath,
+  defineNetworkElement, benchmarkLinks, benchmarkRender
+} = api;
+export default api;